@@ -0,0 +1,427 @@
+// 英語 (English)
+var LOCALES = LOCALES || {};
+
+LOCALES.en = {
+    meta: {
+        name: 'English',
+        dateLocale: 'en-US'
+    },
+    app: {
+        title: 'Pomodoro Girl',
+        character: 'Character'
+    },
+    phases: {
+        focus: 'Focus',
+        shortBreak: 'Short break',
+        longBreak: 'Long break'
+    },
+    timer: {
+        taskLabel: 'Today\'s task:',
+        taskPlaceholder: 'Type a task',
+        untitled: 'Untitled task',
+        start: 'Start',
+        pause: 'Pause',
+        resume: 'Resume',
+        abandon: 'Abandon',
+        abandonTitle: 'Abandon this session',
+        skip: 'Skip',
+        skipTitle: 'Go to the next phase',
+        otherTab: '🔗 Showing the timer running in another tab',
+        bpm: 'Walking speed = BPM:',
+        alarmOn: '🔊Alarm on',
+        alarmOff: '🔇Alarm off',
+        alarmTurnOn: 'Turn the alarm on',
+        alarmTurnOff: 'Turn the alarm off',
+        metronomeOn: '🥁Metronome on',
+        metronomeOff: '🥁Metronome off',
+        metronomeTurnOn: 'Turn the metronome on',
+        metronomeTurnOff: 'Turn the metronome off',
+        remaining: { one: '{count} minute left', other: '{count} minutes left' },
+        phaseEnded: '{phase} is over. Next up: {next}'
+    },
+    player: {
+        foundItems: '🔍 Items found',
+        itemBox: '{rarity} item box'
+    },
+    dungeon: {
+        exploring: '📍 Exploring {theme} {floor}F ({progress}/{goal})',
+        bossFloor: '👹 {theme} {floor}F Boss: {boss} (streak {progress}/{goal})',
+        bossDefeated: '👑 Defeated the {boss}! Got a {rarity} box and EXP +{exp}',
+        nextFloor: '🪜 Moved on to {theme} {floor}F',
+        bossAhead: '⚠️ The {boss} lies in wait… Complete {goal} in a row to defeat it'
+    },
+    result: {
+        title: '🎉 Exploration complete!',
+        continue: 'Continue',
+        foundItems: '🎁 Items found:',
+        noItems: 'No items found',
+        exp: '✨EXP +{exp}',
+        levelUp: '🎉 Level up! Lv.{level}',
+        achievement: '{icon} Achievement unlocked: {name}',
+        dailyGoal: '🎯 Today\'s goal reached! You got a rare box',
+        weeklyGoal: '🏆 This week\'s goal reached! EXP +{exp}',
+        taskGoal: '📌 Reached today\'s goal for "{task}"!',
+        newRecipe: '📜 New recipe discovered: {name}'
+    },
+    commands: {
+        toggle: 'Start / pause',
+        reset: 'Reset (abandon)',
+        skip: 'Skip to the next phase',
+        mute: 'Alarm on / off',
+        metronome: 'Metronome on / off',
+        openTab: 'Open {tab}',
+        close: 'Close results and lists',
+        help: 'Keyboard shortcuts',
+        palette: 'Command palette'
+    },
+    palette: {
+        placeholder: 'Search commands and tasks…',
+        empty: 'No matches',
+        label: 'Command palette'
+    },
+    shortcuts: {
+        title: '⌨️ Shortcuts',
+        note: 'You can change the keys in the Settings tab. While you are typing in a field, only combinations with Ctrl and the like work.',
+        close: 'Close',
+        pressKey: 'Press a key…',
+        rebind: 'Click, then press a new key',
+        none: 'None',
+        showHelp: 'Show list',
+        reset: 'Restore defaults',
+        hint: 'Click a button, then press the new key (Esc to cancel, Backspace to clear)'
+    },
+    tabs: {
+        label: 'Records and settings',
+        tasks: '📝 Records',
+        tasklist: '✅ Tasks',
+        items: '📚 Item catalog',
+        achievements: '🏅 Achievements',
+        stats: '📊 Stats',
+        settings: '⚙️ Settings'
+    },
+    records: {
+        exportFormat: 'Export format',
+        jsonBackup: 'JSON (backup)',
+        export: '📤 Export',
+        importMode: 'Import mode',
+        merge: 'Merge',
+        replace: 'Replace',
+        import: '📥 Import',
+        add: '＋ Add record',
+        undo: '↶ Undo',
+        empty: 'No records yet',
+        completed: '{count} completed',
+        goalMet: 'Goal met',
+        loadMore: 'Load more',
+        interrupted: 'Abandoned',
+        paused: { one: 'Paused once', other: 'Paused {count} times' },
+        manual: 'Manual',
+        minutes: '{minutes} min',
+        edit: 'Edit',
+        delete: 'Delete',
+        taskName: 'Task name',
+        completedAt: 'Completed at',
+        minutesUnit: 'min',
+        memo: 'Memo',
+        save: 'Save',
+        cancel: 'Cancel',
+        added: 'Record added',
+        updated: 'Record updated',
+        deleted: 'Record deleted'
+    },
+    tasks: {
+        filter: 'Tasks to show',
+        active: 'In progress',
+        done: 'Done',
+        archived: 'Archived',
+        all: 'All',
+        name: 'Task name',
+        project: 'Project',
+        estimate: 'Estimate 🍅:',
+        dueDate: 'Due:',
+        notes: 'Notes',
+        add: 'Add',
+        update: 'Update',
+        cancel: 'Cancel',
+        empty: 'No tasks',
+        actualOfEstimate: 'Actual / estimate',
+        due: '📅 Due: {date}',
+        overdue: ' (overdue)',
+        select: '▶ Select',
+        complete: '✓ Done',
+        reopen: '↩ Reopen',
+        archive: '📦 Archive',
+        edit: '✏️ Edit'
+    },
+    catalog: {
+        all: 'All',
+        equipment: '🎒 Equipment',
+        crafting: '⚗️ Crafting',
+        loading: 'Loading item data...',
+        equipped: 'Equipped',
+        owned: 'Owned: {count}',
+        rarity: 'Rarity: {rarity}',
+        undiscovered: 'Not discovered yet...',
+        equip: 'Equip',
+        unequip: 'Unequip',
+        emptySlot: 'None',
+        unknownRecipe: '❓ Undiscovered recipe',
+        duplicates: 'Duplicate {rarity} items ×{count}',
+        craft: '⚗️ Craft',
+        crafted: '⚗️ You made {item}!'
+    },
+    equipment: {
+        expBonus: 'EXP gained +{percent}%',
+        rarityBonus: 'Rarity roll +{points}%',
+        boxTimeBonus: 'Item boxes turn up {minutes} min sooner',
+        streakGuard: { one: 'Once per boss floor, abandoning a session won\'t break your streak', other: 'Up to {count} times per boss floor, abandoning a session won\'t break your streak' },
+        outfit: 'Recolors your outfit in {outfit}. {effect}'
+    },
+    achievementList: {
+        unlockedAt: 'Unlocked {date}'
+    },
+    stats: {
+        title: '📊 Statistics',
+        totalPomodoros: 'Total pomodoros',
+        level: 'Current level',
+        totalItems: 'Total items',
+        floor: 'Floor reached',
+        byRarity: '📈 Items by rarity',
+        loading: 'Loading data...',
+        streaks: '🔥 Streaks',
+        currentStreak: 'Current streak',
+        longestStreak: 'Longest streak',
+        days: { one: '{count} day', other: '{count} days' },
+        calendar: '📅 Calendar',
+        trend: '📈 Pomodoros over time',
+        period: 'Group by',
+        daily: 'Daily',
+        weekly: 'Weekly',
+        monthly: 'Monthly',
+        byHour: '🕐 By hour',
+        byTask: '📝 Time by task',
+        hour: '{hour}h',
+        hourRange: '{hour}:00–{hour}:59',
+        weekOf: 'Week of {date}',
+        count: { one: '{count} pomodoro', other: '{count} pomodoros' },
+        hoursMinutes: '{hours}h {minutes}m',
+        minutes: '{minutes}m',
+        empty: 'No records yet'
+    },
+    goals: {
+        today: 'Today: {progress}',
+        week: 'This week: {progress}',
+        perDay: '{task}: {count} a day ',
+        remove: 'Remove'
+    },
+    settings: {
+        title: '⚙️ Settings',
+        cycle: '⏱️ Cycle',
+        focusMinutes: 'Focus (min):',
+        shortBreakMinutes: 'Short break (min):',
+        longBreakMinutes: 'Long break (min):',
+        longBreakInterval: 'Pomodoros before a long break:',
+        autoStartBreaks: 'Start breaks automatically',
+        autoStartFocus: 'Start focus automatically',
+        goals: '🎯 Goals (0 to turn off)',
+        dailyGoal: 'Daily goal:',
+        weeklyGoal: 'Weekly goal:',
+        taskGoal: 'Per task (daily):',
+        taskGoalCount: 'Daily target count',
+        add: 'Add',
+        sound: '🔔 Sound',
+        masterVolume: 'Master volume:',
+        customSound: 'Custom alarm:',
+        notRegistered: 'Not set',
+        chooseFile: '📂 Choose',
+        delete: 'Delete',
+        tts: 'Read a message aloud when a phase ends',
+        ttsFocus: 'End of focus:',
+        ttsBreak: 'End of break:',
+        voice: 'Voice:',
+        defaultVoice: 'Default voice',
+        preview: 'Preview',
+        notifications: '💬 Notifications',
+        notificationsEnabled: 'Show a desktop notification when a phase ends while you are in another tab',
+        shortcuts: '⌨️ Shortcuts',
+        metronome: '🥁 Metronome',
+        metronomeEnabled: 'Tick at the walking speed (BPM) during focus',
+        metronomeSound: 'Sound:',
+        click: 'Click',
+        wood: 'Wood block',
+        beep: 'Beep',
+        metronomeAccent: 'Accent (every N beats, 0 for none):',
+        metronomeVolume: 'Volume:',
+        language: '🌐 Language',
+        languageLabel: 'Display language:',
+        languageAuto: 'Automatic (browser setting)',
+        accessibility: '♿ Accessibility',
+        reduceMotion: 'Reduce motion:',
+        reduceMotionAuto: 'Automatic (system setting)',
+        reduceMotionOn: 'On (character stands still)',
+        reduceMotionOff: 'Off'
+    },
+    sounds: {
+        events: {
+            focusEnd: 'Pomodoro complete',
+            breakEnd: 'Break over',
+            levelUp: 'Level up',
+            rare: 'Rare find',
+            epic: 'Epic find',
+            legendary: 'Legendary find',
+            achievement: 'Achievement unlocked'
+        },
+        names: {
+            none: 'None',
+            alarm: 'Alarm (default)',
+            chime: 'Chime',
+            bell: 'Bell',
+            fanfare: 'Fanfare',
+            sparkle: 'Sparkle',
+            custom: 'Custom'
+        },
+        notAudio: 'Please choose an audio file',
+        tooLarge: 'The file is too large (5 MB max)',
+        saveFailed: 'Could not save the custom alarm'
+    },
+    notifications: {
+        unsupported: 'This browser does not support notifications',
+        blocked: 'Notifications are blocked. Allow them in your browser\'s site settings (the alarm and the tab title will still let you know)',
+        focusEnd: '🍅 Pomodoro complete!',
+        breakEnd: '☕ Break over!',
+        next: 'Next up: {phase}',
+        start: '{icon} Start: {phase}'
+    },
+    exchange: {
+        fileName: 'pomodoro-records',
+        calendarName: 'Pomodoro records',
+        completed: 'Completed',
+        interrupted: 'Abandoned',
+        eventDescription: { one: '{status} / paused once', other: '{status} / paused {count} times' },
+        exportFailed: 'Export failed: {message}',
+        confirmReplace: 'This replaces your current records with the imported data. Continue?',
+        imported: { one: 'Imported {count} record', other: 'Imported {count} records' },
+        failed: 'Import failed: {message}',
+        unsupportedFormat: 'Unsupported file format',
+        invalidJSON: 'The file could not be read as JSON',
+        notRecordFile: 'This is not a Pomodoro Girl records file',
+        unreadableGameData: 'The game data could not be read',
+        invalidCSVHeader: 'The CSV header row is invalid',
+        invalidRecord: 'The file contains an invalid record',
+        invalidGameData: 'The game data is not in a valid format'
+    },
+    csv: {
+        taskName: 'Task',
+        completedAt: 'Completed at',
+        minutes: 'Duration (min)',
+        interrupted: 'Abandoned',
+        pauseCount: 'Pauses',
+        memo: 'Memo',
+        yes: 'yes',
+        no: 'no'
+    },
+    // 保存データ・読み込んだファイルの形式チェック (VersionedStore)
+    storage: {
+        invalidData: 'The data format is invalid',
+        unsupportedVersion: 'Unsupported schema version: {version}'
+    },
+    // ゲームデータの表示名 (items.json の ID → 名前)
+    rarities: {
+        common: 'Common',
+        rare: 'Rare',
+        epic: 'Epic',
+        legendary: 'Legendary'
+    },
+    slots: {
+        head: 'Head',
+        hand: 'Hand',
+        charm: 'Charm',
+        outfit: 'Outfit'
+    },
+    spriteSets: {
+        default: 'Everyday Colors',
+        dragon: 'Dragonscale Colors',
+        starlight: 'Starlight Colors'
+    },
+    // 称号 (このレベル以上で名乗れる)
+    titles: {
+        50: 'Pomodoro Master',
+        40: 'Tour Guide',
+        30: 'Pomodoro Expert',
+        25: 'Loves a Good Walk',
+        20: 'Devoted Pomodoro-er',
+        15: 'Skilled Collector',
+        10: '25-Minute Explorer',
+        5: 'Pomodoro Regular',
+        1: 'Novice Pomodoro-er'
+    },
+    themes: {
+        sewer: { name: 'Mossy Sewers', boss: 'Rat King' },
+        library: { name: 'Forgotten Library', boss: 'Bookworm Queen' },
+        'crystal-cave': { name: 'Crystal Cave', boss: 'Crystal Golem' },
+        'star-garden': { name: 'Starfall Garden', boss: 'Clocktower Warden' }
+    },
+    achievements: {
+        'first-pomodoro': { name: 'First Step', description: 'Complete a pomodoro' },
+        'pomodoro-100': { name: 'Battle-Hardened', description: 'Complete 100 pomodoros' },
+        'first-legendary': { name: 'Legendary Encounter', description: 'Find a legendary item for the first time' },
+        'streak-7': { name: 'Perfect Week', description: 'Complete pomodoros 7 days in a row' },
+        'common-catalog': { name: 'Junk Expert', description: 'Find every common item' },
+        'daily-10': { name: 'Day of Focus', description: 'Complete 10 pomodoros in one day' },
+        'early-bird': { name: 'Early Bird', description: 'Complete a pomodoro before 7 a.m.' },
+        'level-10': { name: 'Seasoned Explorer', description: 'Reach level 10' },
+        'first-boss': { name: 'Boss Slayer', description: 'Defeat the first boss and reach 6F' }
+    },
+    items: {
+        'rusty-spoon': { name: 'Rusty Spoon', description: 'Not much use for digging through walls' },
+        'empty-lighter': { name: 'Empty Lighter', description: 'Its work here is done' },
+        'aluminum-lunchbox': { name: 'Aluminum Lunchbox', description: 'So satisfying when the lid snaps shut' },
+        'broken-pencil-lead': { name: 'Broken Pencil Lead', description: 'How did anyone find just the lead?' },
+        'frog-finger-puppet': { name: 'Frog Finger Puppet', description: 'I remember these from the pharmacy as a kid' },
+        'bottle-rocket': { name: 'Bottle Rocket', description: 'Do not point at people' },
+        'handdrawn-magic-circle': { name: 'Hand-drawn Magic Circle', description: 'Drawn on the back of a receipt' },
+        'cafe-point-card': { name: 'Café Point Card', description: 'It has exactly one stamp' },
+        'five-color-pen': { name: '5-Color Ballpoint Pen', description: 'Grown-ups stop buying these at some point' },
+        'charging-cable': { name: 'Charging Cable', description: 'The label says "vodafone"' },
+        'canned-coffee': { name: 'Canned Coffee', description: 'For an instant tea party' },
+        'barber-pole': { name: 'Barber Pole', description: 'Apparently only red and white in Britain' },
+        'bear-figurine': { name: 'Bear Figurine', description: 'Holding a salmon in its mouth, naturally' },
+        apple: { name: 'Apple', description: 'I love apple pie and tarte Tatin!' },
+        'loose-change': { name: 'Loose Change', description: 'Now you can flip a coin when you can\'t decide' },
+        'worn-rain-boots': { name: 'Worn-out Rain Boots', description: 'There\'s rainwater pooled inside' },
+        'hand-bell': { name: 'Hand Bell', description: 'Might come in handy on mountain hikes?' },
+        'playing-cards': { name: 'Playing Cards', description: 'Now I want a dress and a sleeping bag too' },
+        'instant-camera': { name: 'Instant Camera', description: 'I wonder what\'s on the film' },
+        'alarm-clock': { name: 'Alarm Clock', description: 'Sometimes you just need some space' },
+        'magic-crystal': { name: 'Magic Crystal', description: 'A beautiful crystal imbued with magic. Warm to the touch.' },
+        'ancient-tome': { name: 'Ancient Tome', description: 'A mysterious book in an ancient script. A treasure trove of knowledge.' },
+        'glowing-stone': { name: 'Glowing Stone', description: 'A strange stone that shines even in the dark. It could light the way.' },
+        'silver-ring': { name: 'Silver Ring', description: 'A finely crafted silver ring. It looks expensive.' },
+        'spirit-feather': { name: 'Spirit Feather', description: 'A feather dropped by a wind spirit. Light and beautiful.' },
+        'dragon-scale': { name: 'Dragon Scale', description: 'A scale from a legendary dragon. Very hard, and a precious armor material.' },
+        'sage-staff': { name: 'Sage\'s Staff', description: 'A staff cherished by a sage of old. The power of wisdom dwells within.' },
+        'hourglass-of-time': { name: 'Hourglass of Time', description: 'A mystical hourglass said to control time.' },
+        'holy-shield': { name: 'Holy Shield', description: 'A shield blessed by the gods. It wards off every misfortune.' },
+        'phoenix-feather': { name: 'Phoenix Feather', description: 'A beautiful phoenix feather. Said to hold the power of rebirth.' },
+        'world-tree-leaf': { name: 'World Tree Leaf', description: 'A leaf from the giant tree at the center of the world. Brimming with life.' },
+        'stone-of-creation': { name: 'Stone of Creation', description: 'A mystic stone said to have created the world. It holds infinite potential.' },
+        'infinite-knowledge': { name: 'Infinite Knowledge', description: 'A crystal holding all knowledge. A door to the truth.' },
+        'star-fragment': { name: 'Star Fragment', description: 'A fragment of a star fallen from the night sky. The mysteries of the cosmos dwell within.' },
+        'book-of-truth': { name: 'Book of Truth', description: 'The ultimate book, recording the truth of the world. It chooses its reader.' },
+        'apple-pie-lunch': { name: 'Apple Pie Lunch', description: 'Tatin is nice, but for lunch it has to be pie' },
+        'full-stamp-card': { name: 'Full Stamp Card', description: 'One free coffee!' },
+        'magician-hat': { name: 'Magician\'s Silk Hat', description: 'Coins vanish and multiply' },
+        'starry-sky-photo': { name: 'Starry Sky Photo', description: 'A long exposure taken by the light of a glowing stone' },
+        'true-magic-circle': { name: 'True Magic Circle', description: 'Something might really come out of the back of this receipt' },
+        'eternal-pomodoro': { name: 'Eternal Pomodoro', description: '25 minutes that never seem to end…?' },
+        'mossy-brick': { name: 'Mossy Brick', description: 'Soft and springy, just right for a pillow' },
+        'rusty-key-ring': { name: 'Rusty Key Ring', description: 'Nobody knows which doors they open' },
+        'pressed-flower-bookmark': { name: 'Pressed-flower Bookmark', description: 'Someone left it in a book they never finished' },
+        'forbidden-index': { name: 'Index of Forbidden Books', description: 'The titles alone will keep you up at night' },
+        'librarian-monocle': { name: 'Librarian\'s Monocle', description: 'Every typo in a book glows through it' },
+        'cave-crystal': { name: 'Cave Crystal', description: 'Cool to the touch; it seems to sharpen your focus' },
+        'resonant-stalactite': { name: 'Resonant Stalactite', description: 'Strike it and it rings the same note every 25 minutes' },
+        'shooting-star-seed': { name: 'Shooting Star Seed', description: 'Plant it and one wish will sprout' },
+        'moon-hourglass': { name: 'Moon Hourglass', description: 'The sand waxes and wanes with the moon' }
+    }
+};
@@ -0,0 +1,427 @@
+// 日本語 (既定の言語。ほかの言語で見つからない文言もここから引く)
+var LOCALES = LOCALES || {};
+
+LOCALES.ja = {
+    meta: {
+        name: '日本語',
+        dateLocale: 'ja-JP'
+    },
+    app: {
+        title: 'ポモドロ子',
+        character: 'キャラ'
+    },
+    phases: {
+        focus: '集中',
+        shortBreak: '小休憩',
+        longBreak: '長休憩'
+    },
+    timer: {
+        taskLabel: '今日のタスク:',
+        taskPlaceholder: '入力してください',
+        untitled: '無題のタスク',
+        start: 'スタート',
+        pause: '一時停止',
+        resume: '再開',
+        abandon: '中断',
+        abandonTitle: 'このセッションを中断する',
+        skip: 'スキップ',
+        skipTitle: '次のフェーズへ進む',
+        otherTab: '🔗 別のタブで動いているタイマーを表示しています',
+        bpm: '歩く速さ=BPM:',
+        alarmOn: '🔊アラームあり',
+        alarmOff: '🔇アラームなし',
+        alarmTurnOn: 'アラーム音をオンにする',
+        alarmTurnOff: 'アラーム音をオフにする',
+        metronomeOn: '🥁メトロノームあり',
+        metronomeOff: '🥁メトロノームなし',
+        metronomeTurnOn: 'メトロノームをオンにする',
+        metronomeTurnOff: 'メトロノームをオフにする',
+        remaining: '残り{count}分',
+        phaseEnded: '{phase}が終わりました。次は{next}です'
+    },
+    player: {
+        foundItems: '🔍 発見したアイテム',
+        itemBox: '{rarity} アイテムボックス'
+    },
+    dungeon: {
+        exploring: '📍 {theme} {floor}F を探索中 ({progress}/{goal})',
+        bossFloor: '👹 {theme} {floor}F ボス: {boss} (連続 {progress}/{goal})',
+        bossDefeated: '👑 {boss}を倒した！ {rarity}ボックスと経験値 +{exp}',
+        nextFloor: '🪜 {theme} {floor}F へ進んだ',
+        bossAhead: '⚠️ {boss}が待ち構えている… {goal}回連続で完了して倒そう'
+    },
+    result: {
+        title: '🎉 探索完了！',
+        continue: '続ける',
+        foundItems: '🎁 発見したアイテム:',
+        noItems: 'アイテムは見つかりませんでした',
+        exp: '✨経験値 +{exp}',
+        levelUp: '🎉 レベルアップ！ Lv.{level}',
+        achievement: '{icon} 実績解除: {name}',
+        dailyGoal: '🎯 今日の目標を達成！ レアボックスを獲得',
+        weeklyGoal: '🏆 今週の目標を達成！ 経験値 +{exp}',
+        taskGoal: '📌 「{task}」の今日の目標を達成！',
+        newRecipe: '📜 新しいレシピを発見: {name}'
+    },
+    commands: {
+        toggle: 'スタート / 一時停止',
+        reset: 'リセット (中断)',
+        skip: '次のフェーズへスキップ',
+        mute: 'アラーム音のオン / オフ',
+        metronome: 'メトロノームのオン / オフ',
+        openTab: '{tab} を開く',
+        close: '結果・一覧を閉じる',
+        help: 'ショートカット一覧',
+        palette: 'コマンドパレット'
+    },
+    palette: {
+        placeholder: '操作やタスクを検索…',
+        empty: '見つかりません',
+        label: 'コマンドパレット'
+    },
+    shortcuts: {
+        title: '⌨️ ショートカット',
+        note: 'キーは設定タブで変更できます。入力欄で文字を打っている間は Ctrl などとの組み合わせだけが使えます。',
+        close: '閉じる',
+        pressKey: 'キーを押してください…',
+        rebind: 'クリックして新しいキーを押す',
+        none: 'なし',
+        showHelp: '一覧を表示',
+        reset: '初期設定に戻す',
+        hint: 'ボタンを押してから新しいキーを押します (Esc で取り消し、Backspace で解除)'
+    },
+    tabs: {
+        label: '記録と設定',
+        tasks: '📝 タスク記録',
+        tasklist: '✅ タスク一覧',
+        items: '📚 アイテム図鑑',
+        achievements: '🏅 実績',
+        stats: '📊 統計',
+        settings: '⚙️ 設定'
+    },
+    records: {
+        exportFormat: '出力形式',
+        jsonBackup: 'JSON (バックアップ)',
+        export: '📤 出力',
+        importMode: '取り込み方法',
+        merge: '統合',
+        replace: '置き換え',
+        import: '📥 取り込み',
+        add: '＋ 記録を追加',
+        undo: '↶ 元に戻す',
+        empty: '記録はありません',
+        completed: '{count}回完了',
+        goalMet: '目標達成',
+        loadMore: 'さらに読み込む',
+        interrupted: '中断',
+        paused: '一時停止 {count}回',
+        manual: '手動',
+        minutes: '{minutes}分',
+        edit: '編集',
+        delete: '削除',
+        taskName: 'タスク名',
+        completedAt: '完了日時',
+        minutesUnit: '分',
+        memo: 'メモ',
+        save: '保存',
+        cancel: 'キャンセル',
+        added: '記録を追加しました',
+        updated: '記録を更新しました',
+        deleted: '記録を削除しました'
+    },
+    tasks: {
+        filter: '表示するタスク',
+        active: '進行中',
+        done: '完了',
+        archived: 'アーカイブ',
+        all: 'すべて',
+        name: 'タスク名',
+        project: 'プロジェクト',
+        estimate: '見積もり🍅:',
+        dueDate: '期限:',
+        notes: 'メモ',
+        add: '追加',
+        update: '更新',
+        cancel: 'キャンセル',
+        empty: 'タスクはありません',
+        actualOfEstimate: '実績/見積もり',
+        due: '📅 期限: {date}',
+        overdue: ' (期限切れ)',
+        select: '▶ 選択',
+        complete: '✓ 完了',
+        reopen: '↩ 戻す',
+        archive: '📦 アーカイブ',
+        edit: '✏️ 編集'
+    },
+    catalog: {
+        all: '全て',
+        equipment: '🎒 装備',
+        crafting: '⚗️ 合成',
+        loading: 'アイテムデータを読み込み中...',
+        equipped: '装備中',
+        owned: '所持数: {count}個',
+        rarity: 'レアリティ: {rarity}',
+        undiscovered: 'まだ発見していません...',
+        equip: '装備する',
+        unequip: '外す',
+        emptySlot: 'なし',
+        unknownRecipe: '❓ 未発見のレシピ',
+        duplicates: 'ダブった{rarity}アイテム ×{count}',
+        craft: '⚗️ 合成',
+        crafted: '⚗️ {item} を作りました！'
+    },
+    equipment: {
+        expBonus: '獲得経験値 +{percent}%',
+        rarityBonus: 'レアリティ抽選 +{points}%',
+        boxTimeBonus: 'アイテムボックスが{minutes}分早く見つかる',
+        streakGuard: 'ボスの階で{count}度だけ、中断しても連続記録が途切れない',
+        outfit: '服が色違いの「{outfit}」になる。{effect}'
+    },
+    achievementList: {
+        unlockedAt: '{date} に解除'
+    },
+    stats: {
+        title: '📊 統計情報',
+        totalPomodoros: '総ポモドーロ数',
+        level: '現在のレベル',
+        totalItems: '総アイテム数',
+        floor: '到達階層',
+        byRarity: '📈 レアリティ別取得数',
+        loading: 'データを読み込み中...',
+        streaks: '🔥 連続記録',
+        currentStreak: '現在の連続日数',
+        longestStreak: '最長の連続日数',
+        days: '{count}日',
+        calendar: '📅 カレンダー',
+        trend: '📈 ポモドーロ数の推移',
+        period: '集計単位',
+        daily: '日別',
+        weekly: '週別',
+        monthly: '月別',
+        byHour: '🕐 時間帯別',
+        byTask: '📝 タスク別の作業時間',
+        hour: '{hour}時',
+        hourRange: '{hour}時台',
+        weekOf: '{date}〜の週',
+        count: '{count}回',
+        hoursMinutes: '{hours}時間{minutes}分',
+        minutes: '{minutes}分',
+        empty: '記録はありません'
+    },
+    goals: {
+        today: '今日: {progress}',
+        week: '今週: {progress}',
+        perDay: '{task}: 1日{count}回 ',
+        remove: '削除'
+    },
+    settings: {
+        title: '⚙️ 設定',
+        cycle: '⏱️ サイクル',
+        focusMinutes: '集中 (分):',
+        shortBreakMinutes: '小休憩 (分):',
+        longBreakMinutes: '長休憩 (分):',
+        longBreakInterval: '長休憩までのポモドーロ数:',
+        autoStartBreaks: '休憩を自動で開始する',
+        autoStartFocus: '集中を自動で開始する',
+        goals: '🎯 目標 (0で無効)',
+        dailyGoal: '1日の目標:',
+        weeklyGoal: '1週間の目標:',
+        taskGoal: 'タスク別 (1日):',
+        taskGoalCount: '1日の目標回数',
+        add: '追加',
+        sound: '🔔 サウンド',
+        masterVolume: '全体の音量:',
+        customSound: 'カスタムアラーム:',
+        notRegistered: '未登録',
+        chooseFile: '📂 選ぶ',
+        delete: '削除',
+        tts: '終了時にメッセージを読み上げる',
+        ttsFocus: '集中の終わり:',
+        ttsBreak: '休憩の終わり:',
+        voice: '声:',
+        defaultVoice: '既定の声',
+        preview: '試聴',
+        notifications: '💬 通知',
+        notificationsEnabled: '別のタブにいるとき、終了をデスクトップ通知で知らせる',
+        shortcuts: '⌨️ ショートカット',
+        metronome: '🥁 メトロノーム',
+        metronomeEnabled: '集中中に歩く速さ (BPM) で刻む',
+        metronomeSound: '音色:',
+        click: 'クリック',
+        wood: 'ウッドブロック',
+        beep: '電子音',
+        metronomeAccent: 'アクセント (拍ごと、0でなし):',
+        metronomeVolume: '音量:',
+        language: '🌐 言語',
+        languageLabel: '表示言語:',
+        languageAuto: '自動 (ブラウザの設定)',
+        accessibility: '♿ アクセシビリティ',
+        reduceMotion: '動きを減らす:',
+        reduceMotionAuto: '自動 (OSの設定)',
+        reduceMotionOn: 'オン (キャラクターを止める)',
+        reduceMotionOff: 'オフ'
+    },
+    sounds: {
+        events: {
+            focusEnd: 'ポモドーロ完了',
+            breakEnd: '休憩終了',
+            levelUp: 'レベルアップ',
+            rare: 'レア発見',
+            epic: 'エピック発見',
+            legendary: 'レジェンダリー発見',
+            achievement: '実績解除'
+        },
+        names: {
+            none: 'なし',
+            alarm: 'アラーム (標準)',
+            chime: 'チャイム',
+            bell: 'ベル',
+            fanfare: 'ファンファーレ',
+            sparkle: 'キラキラ',
+            custom: 'カスタム'
+        },
+        notAudio: '音声ファイルを選んでください',
+        tooLarge: 'ファイルが大きすぎます (5MBまで)',
+        saveFailed: 'カスタムアラームを保存できませんでした'
+    },
+    notifications: {
+        unsupported: 'このブラウザは通知に対応していません',
+        blocked: '通知がブロックされています。ブラウザのサイト設定から許可してください (アラーム音とタブの表示では引き続きお知らせします)',
+        focusEnd: '🍅 ポモドーロ完了！',
+        breakEnd: '☕ 休憩終了！',
+        next: '次は{phase}です',
+        start: '{icon} {phase}を始める'
+    },
+    exchange: {
+        fileName: 'ポモドロ記録',
+        calendarName: 'ポモドロ記録',
+        completed: '完了',
+        interrupted: '中断',
+        eventDescription: '{status} / 一時停止 {count}回',
+        exportFailed: 'エクスポートに失敗しました: {message}',
+        confirmReplace: '現在の記録を読み込んだデータで置き換えます。よろしいですか？',
+        imported: '{count}件の記録を読み込みました',
+        failed: 'インポートに失敗しました: {message}',
+        unsupportedFormat: '対応していないファイル形式です',
+        invalidJSON: 'JSONとして読み込めません',
+        notRecordFile: 'ポモドロ子の記録ファイルではありません',
+        unreadableGameData: 'ゲームデータを読み込めません',
+        invalidCSVHeader: 'CSVの見出し行が正しくありません',
+        invalidRecord: '不正な記録が含まれています',
+        invalidGameData: 'ゲームデータの形式が正しくありません'
+    },
+    csv: {
+        taskName: 'タスク名',
+        completedAt: '完了日時',
+        minutes: '所要時間(分)',
+        interrupted: '中断',
+        pauseCount: '一時停止回数',
+        memo: 'メモ',
+        yes: 'はい',
+        no: 'いいえ'
+    },
+    // 保存データ・読み込んだファイルの形式チェック (VersionedStore)
+    storage: {
+        invalidData: 'データの形式が正しくありません',
+        unsupportedVersion: '未対応のスキーマバージョンです: {version}'
+    },
+    // ゲームデータの表示名 (items.json の ID → 名前)
+    rarities: {
+        common: 'コモン',
+        rare: 'レア',
+        epic: 'エピック',
+        legendary: 'レジェンダリー'
+    },
+    slots: {
+        head: '頭',
+        hand: '手',
+        charm: 'お守り',
+        outfit: '衣装'
+    },
+    spriteSets: {
+        default: 'いつもの色',
+        dragon: '竜鱗カラー',
+        starlight: '星明かりカラー'
+    },
+    // 称号 (このレベル以上で名乗れる)
+    titles: {
+        50: 'ポモドロマスター',
+        40: 'ツアーガイド',
+        30: 'ポモドロ名人',
+        25: '散歩が大好き',
+        20: '敬虔ポモドラー',
+        15: '蒐集上手',
+        10: '25分間の探索者',
+        5: 'ポモドロ慣れ',
+        1: '初級ポモドラー'
+    },
+    themes: {
+        sewer: { name: '苔むした地下水路', boss: '大ネズミの王' },
+        library: { name: '忘れられた図書館', boss: '本の虫の女王' },
+        'crystal-cave': { name: '水晶の洞窟', boss: '水晶ゴーレム' },
+        'star-garden': { name: '星降る庭園', boss: '時計塔の番人' }
+    },
+    achievements: {
+        'first-pomodoro': { name: 'はじめの一歩', description: 'ポモドーロを1回完了する' },
+        'pomodoro-100': { name: '百戦錬磨', description: 'ポモドーロを100回完了する' },
+        'first-legendary': { name: '伝説との遭遇', description: 'レジェンダリーアイテムをはじめて見つける' },
+        'streak-7': { name: '1週間皆勤', description: '7日連続でポモドーロを完了する' },
+        'common-catalog': { name: 'ガラクタ博士', description: 'コモンアイテムをすべて見つける' },
+        'daily-10': { name: '集中の一日', description: '1日に10回ポモドーロを完了する' },
+        'early-bird': { name: '早起きポモドーロ', description: '朝7時前にポモドーロを完了する' },
+        'level-10': { name: '一人前の探索者', description: 'レベル10に到達する' },
+        'first-boss': { name: 'ボス討伐', description: 'はじめてのボスを倒して6Fに到達する' }
+    },
+    items: {
+        'rusty-spoon': { name: 'サビたスプーン', description: '壁を掘るには心もとない' },
+        'empty-lighter': { name: 'オイル切れライター', description: 'もう役目を終えている' },
+        'aluminum-lunchbox': { name: 'アルミの弁当箱', description: 'フタがピッタリはまると気持ちいい' },
+        'broken-pencil-lead': { name: '折れた鉛筆の芯', description: 'どうやって芯だけ見つけたんだろう' },
+        'frog-finger-puppet': { name: 'カエルの指人形', description: '小さい頃、薬局で見たことがある' },
+        'bottle-rocket': { name: 'ペットボトルロケット', description: 'ヒトに向けてはいけません' },
+        'handdrawn-magic-circle': { name: '手書きの魔法陣', description: '裏はレシート' },
+        'cafe-point-card': { name: 'カフェのポイントカード', description: 'スタンプが1つ押してある' },
+        'five-color-pen': { name: '5色ボールペン', description: '大人になると買わなくなるかも' },
+        'charging-cable': { name: '充電ケーブル', description: 'ラベルにはvodafoneと書いてある' },
+        'canned-coffee': { name: '缶コーヒー', description: 'インスタントお茶会用' },
+        'barber-pole': { name: '理髪店のサインポール', description: 'イギリスでは赤と白の2色らしい' },
+        'bear-figurine': { name: '熊の置物', description: '当然のように鮭を咥えている' },
+        apple: { name: 'りんご', description: 'アップルパイやタタンがすき！' },
+        'loose-change': { name: '小銭', description: 'これで迷ったときにコイントスできるよ' },
+        'worn-rain-boots': { name: 'くたびれた長靴', description: '中に雨水が溜まっている' },
+        'hand-bell': { name: '呼び鈴', description: '山を歩く時に使えるかも？' },
+        'playing-cards': { name: 'トランプ', description: 'ドレスもシュラフもほしい' },
+        'instant-camera': { name: 'インスタントカメラ', description: 'なにが写っているのか気になる' },
+        'alarm-clock': { name: 'めざまし時計', description: 'たまには距離をおきたくなるよね' },
+        'magic-crystal': { name: '魔法の水晶', description: '魔力を宿した美しい水晶。触れると温かい。' },
+        'ancient-tome': { name: '古代の書物', description: '古代文字で書かれた謎の書物。知識の宝庫だ。' },
+        'glowing-stone': { name: '光る石', description: '暗闇でも光を放つ不思議な石。道標として使えそう。' },
+        'silver-ring': { name: '銀の指輪', description: '精巧な細工が施された銀製の指輪。高価そうだ。' },
+        'spirit-feather': { name: '精霊の羽', description: '風の精霊が落とした羽根。軽やかで美しい。' },
+        'dragon-scale': { name: 'ドラゴンの鱗', description: '伝説のドラゴンの鱗。とても硬く、貴重な防具の材料。' },
+        'sage-staff': { name: '賢者の杖', description: '古の賢者が愛用した杖。知恵の力が宿っている。' },
+        'hourglass-of-time': { name: '時の砂時計', description: '時を操ると言われる神秘的な砂時計。' },
+        'holy-shield': { name: '聖なる盾', description: '神に祝福された盾。あらゆる災いを防ぐ。' },
+        'phoenix-feather': { name: '不死鳥の羽根', description: '不死鳥の美しい羽根。再生の力を持つという。' },
+        'world-tree-leaf': { name: '世界樹の葉', description: '世界の中心に立つ巨大な樹の葉。生命力に満ちている。' },
+        'stone-of-creation': { name: '創造の石', description: '世界を創造したとされる神秘の石。無限の可能性を秘める。' },
+        'infinite-knowledge': { name: '無限の知識', description: '全ての知識が込められた結晶体。真理への扉だ。' },
+        'star-fragment': { name: '星の欠片', description: '夜空から落ちた星の欠片。宇宙の神秘が宿る。' },
+        'book-of-truth': { name: '真理の書', description: '世界の真理が記された究極の書物。読む者を選ぶ。' },
+        'apple-pie-lunch': { name: 'アップルパイ弁当', description: 'タタンもいいけど、お昼はやっぱりパイ' },
+        'full-stamp-card': { name: '満点のスタンプカード', description: 'コーヒー1杯無料！' },
+        'magician-hat': { name: '手品師のシルクハット', description: '小銭が消えたり増えたりする' },
+        'starry-sky-photo': { name: '星空の写真', description: '光る石を頼りに長時間露光で撮った一枚' },
+        'true-magic-circle': { name: '本物の魔法陣', description: 'レシートの裏から本当に何か出てきそう' },
+        'eternal-pomodoro': { name: '永遠のポモドーロ', description: '25分がいつまでも終わらない…？' },
+        'mossy-brick': { name: '苔むしたレンガ', description: 'ふかふかしていて枕にちょうどいい' },
+        'rusty-key-ring': { name: '錆びた鍵束', description: 'どの扉の鍵かは誰も知らない' },
+        'pressed-flower-bookmark': { name: '押し花のしおり', description: '誰かが読みかけのまま挟んでいった' },
+        'forbidden-index': { name: '禁書の目録', description: 'タイトルだけで眠れなくなる' },
+        'librarian-monocle': { name: '司書の片眼鏡', description: '本の中の誤字がすべて光って見える' },
+        'cave-crystal': { name: '洞窟の水晶', description: 'ひんやりしていて集中力が上がる気がする' },
+        'resonant-stalactite': { name: '共鳴する鍾乳石', description: '叩くと25分ごとに同じ音が鳴る' },
+        'shooting-star-seed': { name: '流れ星の種', description: '植えると願いごとが1つ芽を出す' },
+        'moon-hourglass': { name: '月の砂時計', description: '満ち欠けに合わせて砂の量が変わる' }
+    }
+};
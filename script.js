@@ -5,24 +5,71 @@
 // ========================================
 class PomodoroApp {
     constructor() {
-        this.TIMER_DURATION = 25 * 60; // 25分
+        // フェーズ定義 (長さは設定から取得)
+        this.PHASES = {
+            focus: { icon: '🍅', settingKey: 'focusMinutes', color: '#73cac6' },
+            shortBreak: { icon: '☕', settingKey: 'shortBreakMinutes', color: '#f0a35e' },
+            longBreak: { icon: '🛌', settingKey: 'longBreakMinutes', color: '#f0a35e' }
+        };
+        // 残り時間を読み上げる区切り (分、大きい順)
+        this.ANNOUNCE_MINUTES = [10, 5, 1];
+        
+        this.settings = new SettingsManager();
+        i18n.setLocale(this.settings.get('language'));
+        i18n.translatePage();
+        this.sessionStore = new VersionedStore('pomodoroSession', { defaults: () => null });
         
         this.state = {
-            timer: this.TIMER_DURATION,
+            phase: 'focus',
+            completedFocusCount: 0,
+            timer: 0,
             isRunning: false,
+            isPaused: false,
             startTime: null,
-            gameTimerId: null,
+            duration: null, // 開始時に決めたフェーズの長さ (秒)。途中で設定を変えても変わらない
+            pausedAt: null,
+            pauseCount: 0,
+            pausedTime: 0, // ミリ秒
             isMuted: false
         };
+        this.state.timer = this.getPhaseDuration();
         
         // システム初期化
-        this.taskManager = new TaskManager();
+        // 下のクラスには、グローバルの app ではなく必要な操作だけを渡す (構築中は app がまだ使えないため)
+        this.taskManager = new TaskManager(this.settings, {
+            getTaskName: () => this.getTaskName(),
+            onHistoryChange: () => this.applyHistoryChange()
+        });
         this.gameSystem = new GameSystem();
         this.animationSystem = new AnimationSystem();
+        this.metronome = new Metronome(this.settings, this.animationSystem);
+        this.dataExchange = new DataExchange(this.taskManager, this.gameSystem, () => this.afterImport());
+        this.statsDashboard = new StatsDashboard(this.taskManager);
+        this.goalTracker = new GoalTracker(this.taskManager, this.settings, () => this.getTaskName());
+        this.achievements = new AchievementSystem(this.taskManager, this.gameSystem, this.statsDashboard);
+        this.tabSystem = new TabSystem({
+            gameSystem: this.gameSystem,
+            achievements: this.achievements,
+            statsDashboard: this.statsDashboard,
+            onAppearanceChange: () => this.updateAppearance()
+        });
         
-        // アラーム音の初期化
-        this.alarmSound = new Audio('sound/alarm.mp3');
-        this.alarmSound.preload = 'auto';
+        // アラーム音と通知の初期化
+        this.soundPlayer = new SoundPlayer(this.settings);
+        this.notifier = new Notifier(this.settings);
+        this.ticker = new TimerTicker();
+        this.favicon = new FaviconBadge();
+        this.titleAlert = null;
+        
+        // 複数のタブで開いたときにタイマーを動かすのは1タブだけ
+        this.coordinator = new TabCoordinator({
+            onLeaderChange: (isLeader) => this.handleLeaderChange(isLeader),
+            onMessage: (message) => this.handleTabMessage(message)
+        });
+        
+        // キーボード操作
+        this.shortcuts = new KeyboardShortcuts(this.settings, () => this.getCommands());
+        this.palette = new CommandPalette(this.shortcuts, this.taskManager);
         
         this.init();
     }
@@ -33,103 +80,607 @@ class PomodoroApp {
         this.bindEvents();
         this.validateBPM();
         this.updateMuteButton();
+        this.updateMetronomeButton();
+        this.updatePhaseDisplay();
+        this.renderLanguageOptions();
+        this.renderSettings();
+        this.applyMotionSetting();
+        this.coordinator.start(); // リーダーならセッションを復元し、そうでなければ表示を追いかける
+        this.registerServiceWorker();
+        this.handleLaunchAction();
+        
+        this.gameSystem.ready.then(() => {
+            this.animationSystem.setSpriteSets(this.gameSystem.getEquipmentData().spriteSets);
+            this.updateAppearance();
+        });
+    }
+    
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service Worker の登録に失敗しました:', error);
+        });
+        // 通知のボタンが押されたとき (ページが開いている場合)
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'notification-action') {
+                this.handleNotificationAction(event.data.action);
+            }
+        });
+    }
+    
+    handleLaunchAction() {
+        // 通知のボタンからページが開かれた場合は ?action= が付いている
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('action');
+        if (!action) return;
+        
+        history.replaceState(null, '', window.location.pathname);
+        this.handleNotificationAction(action);
+    }
+    
+    handleNotificationAction(action) {
+        if (action === 'start' && !this.state.isRunning) {
+            this.runCommand('toggle');
+        }
+    }
+    
+    // ========================================
+    // タブ間の連携
+    // ========================================
+    runCommand(action, taskName = this.getTaskName()) {
+        // タイマーの操作はリーダーのタブに任せる
+        if (!this.coordinator.isLeader) {
+            this.coordinator.post({ type: 'command', action, taskName });
+            return;
+        }
+        
+        const commands = {
+            toggle: () => this.toggleTimer(),
+            abandon: () => this.abandonSession(),
+            skip: () => this.skipPhase()
+        };
+        if (commands[action]) commands[action]();
+    }
+    
+    handleLeaderChange(isLeader) {
+        document.getElementById('tabStatus').style.display = isLeader ? 'none' : 'block';
+        this.clearTimerInterval();
+        
+        if (isLeader) {
+            // 閉じられたリーダーのタイマーを、保存されたセッションから引き継ぐ
+            this.restoreSession();
+        } else {
+            this.gameSystem.stopExploration();
+            this.mirrorSession();
+        }
+    }
+    
+    handleTabMessage(message) {
+        if (message.type === 'command' && this.coordinator.isLeader) {
+            document.getElementById('taskInput').value = message.taskName;
+            this.runCommand(message.action);
+        } else if (message.type === 'history-changed') {
+            this.statsDashboard.invalidate();
+            this.taskManager.reloadRecords();
+            this.goalTracker.refresh();
+        }
+    }
+    
+    // 他のタブが localStorage を書き換えたら、手元のデータを読み直す
+    handleStorageChange(key) {
+        if (key === this.sessionStore.key) {
+            if (!this.coordinator.isLeader) this.mirrorSession();
+        } else if (key === this.settings.store.key) {
+            const language = this.settings.get('language');
+            this.settings.reload();
+            this.renderSettings();
+            this.updatePhaseDisplay();
+            this.updateMetronomeButton();
+            if (!this.state.isRunning && !this.state.isPaused) {
+                this.state.timer = this.getPhaseDuration();
+                this.updateDisplay();
+            }
+            this.applyMotionSetting();
+            if (this.settings.get('language') !== language) this.applyLanguage();
+        } else if (key === this.gameSystem.store.key) {
+            this.gameSystem.reload();
+            this.updateAppearance();
+        } else if (key === this.taskManager.store.key) {
+            this.taskManager.reload();
+            this.goalTracker.render();
+        } else if (key === this.achievements.store.key) {
+            this.achievements.reload();
+        }
+    }
+    
+    // リーダーのタイマーを表示だけ追いかける (記録や報酬はリーダーが行う)
+    mirrorSession() {
+        const session = this.sessionStore.load();
+        if (!session || !this.PHASES[session.phase]) return;
+        
+        const previousBoxCount = this.gameSystem.itemBoxes.length;
+        const {
+            phase, completedFocusCount, timer, isRunning, isPaused,
+            startTime, duration = null, pausedAt, pauseCount, pausedTime
+        } = session;
+        Object.assign(this.state, {
+            phase, completedFocusCount, timer, isRunning, isPaused,
+            startTime, duration, pausedAt, pauseCount, pausedTime
+        });
+        if (session.taskName) {
+            document.getElementById('taskInput').value = session.taskName;
+        }
+        
+        this.gameSystem.itemBoxes = session.itemBoxes || [];
+        this.gameSystem.updateItemBoxDisplay();
+        if (this.gameSystem.itemBoxes.length > previousBoxCount) {
+            this.animationSystem.play('openBox');
+        }
+        
+        if (isRunning) {
+            this.ticker.start(() => this.updateTimer());
+            if (this.isFocusPhase()) {
+                this.animationSystem.start(this.validateBPM());
+            } else {
+                this.animationSystem.rest();
+            }
+        } else {
+            this.clearTimerInterval();
+            this.animationSystem.stop();
+        }
+        
+        this.updateTimer();
+        this.updateDisplay();
+        this.updatePhaseDisplay();
+        this.updateStartButton();
+        this.updateMetronome();
+    }
+    
+    updateAppearance() {
+        this.animationSystem.setAppearance(this.gameSystem.getAppearance());
+        this.animationSystem.setBackground(this.gameSystem.getFloorInfo().theme.background);
     }
     
     bindEvents() {
-        document.getElementById('startbtn').addEventListener('click', () => this.toggleTimer());
-        document.getElementById('resetbtn').addEventListener('click', () => this.resetTimer());
+        document.getElementById('startbtn').addEventListener('click', () => this.runCommand('toggle'));
+        document.getElementById('abandonbtn').addEventListener('click', () => this.runCommand('abandon'));
+        document.getElementById('skipbtn').addEventListener('click', () => this.runCommand('skip'));
         document.getElementById('bpmInput').addEventListener('input', () => this.handleBPMChange());
-        document.getElementById('exportbtn').addEventListener('click', () => this.taskManager.exportData());
+        document.getElementById('exportbtn').addEventListener('click', () => {
+            this.dataExchange.exportData(document.getElementById('exportFormat').value);
+        });
+        document.getElementById('importbtn').addEventListener('click', () => {
+            document.getElementById('importFile').click();
+        });
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.dataExchange.importFile(file, document.getElementById('importMode').value);
+            }
+            e.target.value = '';
+        });
         document.getElementById('mutebtn').addEventListener('click', () => this.toggleMute());
+        document.getElementById('metronomebtn').addEventListener('click', () => this.toggleMetronome());
+        
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('change', () => this.handleSettingChange(input));
+        });
         
         // ページ同期イベント
         document.addEventListener('visibilitychange', () => this.syncTimer());
         window.addEventListener('focus', () => this.syncTimer());
+        window.addEventListener('storage', (e) => this.handleStorageChange(e.key));
+        if (window.matchMedia) {
+            window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', () => this.applyMotionSetting());
+        }
     }
     
     toggleTimer() {
-        this.state.isRunning ? this.stopTimer() : this.startTimer();
+        if (this.state.isRunning) {
+            this.pauseTimer();
+        } else if (this.state.isPaused) {
+            this.resumeTimer();
+        } else {
+            this.startTimer();
+        }
     }
     
     startTimer() {
+        this.state.duration = this.getPhaseDuration();
+        this.state.pauseCount = 0;
+        this.state.pausedTime = 0;
+        this.runTimer(Date.now());
+    }
+    
+    runTimer(startTime, itemBoxes = []) {
         this.state.isRunning = true;
-        this.state.startTime = Date.now();
+        this.state.isPaused = false;
+        this.state.pausedAt = null;
+        this.state.startTime = startTime;
         
-        document.getElementById('startbtn').textContent = 'ストップ';
-        
-        this.animationSystem.start(this.validateBPM());
-        this.gameSystem.startExploration();
+        // 探索と歩行は集中フェーズのみ。休憩中は休憩アニメーションを表示
+        if (this.isFocusPhase()) {
+            this.animationSystem.start(this.validateBPM());
+            this.gameSystem.startExploration(startTime, itemBoxes);
+        } else {
+            this.animationSystem.rest();
+        }
+        this.updateMetronome();
         
-        this.state.gameTimerId = setInterval(() => {
+        this.ticker.start(() => {
             if (this.updateTimer() <= 0) {
-                this.completePomodoro();
+                this.completePhase();
+            } else if (this.gameSystem.itemBoxes.length !== this.savedBoxCount) {
+                this.animationSystem.play('openBox');
+                this.saveSession();
             }
-        }, 1000);
+        });
+        
+        this.updateTimer();
+        this.updateStartButton();
+        this.saveSession();
+    }
+    
+    pauseTimer() {
+        this.clearTimerInterval();
+        this.state.isRunning = false;
+        this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
+        this.state.pauseCount++;
+        
+        this.updateTimer();
+        this.animationSystem.stop();
+        this.updateMetronome();
+        this.gameSystem.stopExploration();
+        this.updateStartButton();
+        this.saveSession();
+    }
+    
+    resumeTimer() {
+        // 一時停止していた分だけ開始時刻をずらし、経過時間と発見済みの箱を引き継ぐ
+        const pausedMs = Date.now() - this.state.pausedAt;
+        this.state.pausedTime += pausedMs;
+        this.runTimer(this.state.startTime + pausedMs, this.gameSystem.itemBoxes);
     }
     
     stopTimer() {
+        this.clearTimerInterval();
         this.state.isRunning = false;
+        this.state.isPaused = false;
+        this.state.pausedAt = null;
         this.state.startTime = null;
+        this.state.duration = null;
         
-        if (this.state.gameTimerId) {
-            clearInterval(this.state.gameTimerId);
-            this.state.gameTimerId = null;
-        }
-        
-        document.getElementById('startbtn').textContent = 'スタート';
         this.animationSystem.stop();
+        this.updateMetronome();
         this.gameSystem.stopExploration();
+        this.updateStartButton();
+        this.saveSession();
     }
     
-    resetTimer() {
+    clearTimerInterval() {
+        this.ticker.stop();
+    }
+    
+    updateStartButton() {
+        const label = this.state.isRunning ? 'timer.pause' : this.state.isPaused ? 'timer.resume' : 'timer.start';
+        document.getElementById('startbtn').textContent = t(label);
+    }
+    
+    abandonSession() {
+        // 開始済みの集中フェーズは中断として記録する
+        if (this.state.startTime && this.isFocusPhase()) {
+            if (this.state.isPaused) {
+                this.state.pausedTime += Date.now() - this.state.pausedAt;
+            }
+            this.recordFocusSession({ interrupted: true });
+            this.gameSystem.breakStreak();
+        }
+        
         this.stopTimer();
-        this.state.timer = this.TIMER_DURATION;
+        this.state.timer = this.getPhaseDuration();
         this.updateDisplay();
         this.animationSystem.resetCharacter();
         this.gameSystem.clearBoxes();
+        this.saveSession();
+    }
+    
+    skipPhase() {
+        this.abandonSession();
+        this.advancePhase();
     }
     
-    completePomodoro() {
+    // completedAt: 記録に残す完了時刻 (閉じている間に終わっていたときは本来の終了時刻)
+    // quiet: アラーム・通知・結果画面を出さずに記録と報酬だけ済ませる
+    completePhase(completedAt = Date.now(), { quiet = false } = {}) {
+        const finishedPhase = this.state.phase;
+        
+        // 終了時刻までに見つかるはずだった箱を補う
+        if (finishedPhase === 'focus') {
+            this.gameSystem.syncBoxes(this.state.startTime + this.getSessionDuration() * 1000);
+        }
         this.stopTimer();
-        this.playAlarm();
         
-        const taskName = document.getElementById('taskInput').value || '無題のタスク';
-        this.taskManager.recordCompletion(taskName);
-        this.gameSystem.completeExploration();
+        if (finishedPhase === 'focus') {
+            this.completePomodoro(completedAt, { quiet });
+        } else if (!quiet) {
+            this.playAlarm('breakEnd');
+        }
+        
+        this.advancePhase();
+        if (quiet) return;
+        
+        this.announce(t('timer.phaseEnded', { phase: this.getPhaseLabel(finishedPhase), next: this.getPhaseLabel() }));
+        this.notifier.notify(finishedPhase === 'focus' ? 'focusEnd' : 'breakEnd', {
+            nextPhase: { icon: this.PHASES[this.state.phase].icon, label: this.getPhaseLabel() },
+            canStart: !this.state.isRunning
+        });
+    }
+    
+    completePomodoro(completedAt, { quiet = false } = {}) {
+        if (!quiet) this.playAlarm('focusEnd');
+        
+        // 記録に残るのは集中フェーズのみ
+        const recorded = this.recordFocusSession({ interrupted: false, completedAt });
+        
+        // 記録と同じタスク (recordFocusSession で作られている) の目標を数える
+        const task = this.taskManager.resolveTask(this.getTaskName());
+        const rewards = this.gameSystem.grantGoalRewards(this.goalTracker.recordCompletion(task.id, new Date(completedAt)), task.name);
+        if (rewards.messages.length > 0) this.goalTracker.celebrate();
+        const result = this.gameSystem.completeExploration(rewards, { showResult: !quiet });
+        this.state.completedFocusCount++;
+        this.updateAppearance();
+        if (!quiet) {
+            this.playRewardSound(result);
+            this.animationSystem.play('celebrate');
+        }
+        
+        // 実績は履歴への保存を待ってから判定し、結果画面に追記する
+        recorded
+            .then(() => this.achievements.check())
+            .then(unlocked => {
+                if (quiet) return;
+                const messages = unlocked.map(achievement => t('result.achievement', {
+                    icon: achievement.icon,
+                    name: t(`achievements.${achievement.id}.name`)
+                }));
+                this.gameSystem.appendResultMessages(messages);
+                if (unlocked.length > 0) this.playEventSound('achievement');
+            });
+    }
+    
+    async applyHistoryChange() {
+        // 手で追加・編集した記録には経験値や迷宮の進行が伴わないので、ゲームの数値 (完了数など) はそのまま
+        // 履歴から導く統計・目標・実績だけを数え直す
+        this.statsDashboard.invalidate();
+        await Promise.all([this.goalTracker.refresh(), this.achievements.check({ revoke: true })]);
+        this.coordinator.post({ type: 'history-changed' });
+    }
+    
+    // 取り込みで履歴がまとめて変わったら、集計を読み直す
+    afterImport() {
+        this.statsDashboard.invalidate();
+        this.goalTracker.refresh();
+        this.achievements.check({ revoke: true });
+        this.coordinator.post({ type: 'history-changed' });
+    }
+    
+    getTaskName() {
+        return normalizeTaskName(document.getElementById('taskInput').value);
+    }
+    
+    recordFocusSession({ interrupted, completedAt = Date.now() }) {
+        const taskName = this.getTaskName();
+        const duration = interrupted
+            ? Math.round(((this.state.pausedAt || Date.now()) - this.state.startTime) / 1000)
+            : this.getSessionDuration();
         
-        // 自動リセット
-        this.state.timer = this.TIMER_DURATION;
+        const recorded = this.taskManager.recordCompletion(taskName, {
+            duration,
+            interrupted,
+            pauseCount: this.state.pauseCount,
+            pausedTime: Math.round(this.state.pausedTime / 1000),
+            completedAt
+        });
+        recorded.then(completion => {
+            if (completion) this.statsDashboard.addCompletion(completion);
+            this.coordinator.post({ type: 'history-changed' });
+        });
+        return recorded;
+    }
+    
+    advancePhase() {
+        this.state.phase = this.getNextPhase();
+        this.state.timer = this.getPhaseDuration();
         this.updateDisplay();
+        this.updatePhaseDisplay();
         this.animationSystem.resetCharacter();
+        
+        const autoStartKey = this.isFocusPhase() ? 'autoStartFocus' : 'autoStartBreaks';
+        if (this.settings.get(autoStartKey)) {
+            this.startTimer();
+        } else {
+            this.saveSession();
+        }
+    }
+    
+    // ========================================
+    // セッションの保存と復元
+    // ========================================
+    saveSession() {
+        const {
+            phase, completedFocusCount, timer, isRunning, isPaused,
+            startTime, duration, pausedAt, pauseCount, pausedTime
+        } = this.state;
+        const itemBoxes = this.gameSystem.itemBoxes;
+        const taskName = this.getTaskName();
+        
+        this.sessionStore.save({
+            phase, completedFocusCount, timer, isRunning, isPaused,
+            startTime, duration, pausedAt, pauseCount, pausedTime, itemBoxes, taskName
+        });
+        this.savedBoxCount = itemBoxes.length;
+    }
+    
+    restoreSession() {
+        const session = this.sessionStore.load();
+        if (!session || !this.PHASES[session.phase]) return;
+        
+        this.state.phase = session.phase;
+        this.state.completedFocusCount = session.completedFocusCount;
+        this.state.timer = session.timer;
+        this.state.duration = session.duration || null;
+        this.state.pauseCount = session.pauseCount || 0;
+        this.state.pausedTime = session.pausedTime || 0;
+        if (session.taskName && !document.getElementById('taskInput').value) {
+            document.getElementById('taskInput').value = session.taskName;
+        }
+        this.updateDisplay();
+        this.updatePhaseDisplay();
+        
+        if (session.isPaused) {
+            this.state.isPaused = true;
+            this.state.startTime = session.startTime;
+            this.state.pausedAt = session.pausedAt;
+            this.gameSystem.itemBoxes = session.itemBoxes || [];
+            this.gameSystem.updateItemBoxDisplay();
+            this.updateStartButton();
+            return;
+        }
+        
+        if (!session.isRunning) return;
+        
+        const deadline = session.startTime + this.getSessionDuration() * 1000;
+        
+        if (Date.now() < deadline) {
+            this.runTimer(session.startTime, session.itemBoxes);
+            return;
+        }
+        
+        // 閉じている間に終了時刻を過ぎた場合はそのまま完了させる
+        this.state.isRunning = true;
+        this.state.startTime = session.startTime;
+        this.completeMissedPhase(session, deadline);
+    }
+    
+    // 目標の進捗や報酬は保存済みのデータで数えるので、読み込みを待ってから完了させる
+    // 終わったのは閉じている間なので、アラームや通知、結果画面は出さない
+    async completeMissedPhase(session, deadline) {
+        await Promise.all([this.gameSystem.ready, this.taskManager.ready, this.goalTracker.ready]);
+        // 読み込み中に他のタブへ引き継いだり、操作されたりしていたら何もしない
+        if (!this.coordinator.isLeader || this.state.startTime !== session.startTime) return;
+        
+        if (this.isFocusPhase()) {
+            this.gameSystem.startExploration(session.startTime, session.itemBoxes || []);
+        }
+        this.completePhase(deadline, { quiet: true });
+    }
+    
+    getNextPhase() {
+        if (!this.isFocusPhase()) return 'focus';
+        
+        const count = this.state.completedFocusCount;
+        const interval = this.settings.get('longBreakInterval');
+        return count > 0 && count % interval === 0 ? 'longBreak' : 'shortBreak';
+    }
+    
+    isFocusPhase() {
+        return this.state.phase === 'focus';
     }
     
-    playAlarm() {
+    getPhaseDuration(phase = this.state.phase) {
+        return this.settings.get(this.PHASES[phase].settingKey) * 60;
+    }
+    
+    // 進行中のフェーズの長さ (長さを持たない古いセッションは今の設定で数える)
+    getSessionDuration() {
+        return this.state.duration || this.getPhaseDuration();
+    }
+    
+    getPhaseLabel(phase = this.state.phase) {
+        return t(`phases.${phase}`);
+    }
+    
+    playAlarm(event) {
+        const message = this.soundPlayer.getMessage(event);
+        
         if (this.state.isMuted) {
-            this.fallbackNotification();
+            this.fallbackNotification(message);
             return;
         }
         
-        try {
-            this.alarmSound.currentTime = 0;
-            this.alarmSound.play().catch(error => {
+        this.soundPlayer.play(event).then(
+            () => {
+                if (this.settings.get('ttsEnabled')) this.soundPlayer.speak(message);
+            },
+            error => {
                 console.warn('アラーム音の再生に失敗しました:', error);
-                this.fallbackNotification();
-            });
-        } catch (error) {
-            console.warn('アラーム音の初期化に失敗しました:', error);
-            this.fallbackNotification();
+                this.fallbackNotification(message);
+            }
+        );
+    }
+    
+    playRewardSound({ foundItems, leveledUp }) {
+        // アラームと重ならないよう少し遅らせ、いちばん目立つ出来事の音だけを鳴らす
+        const rarities = foundItems.map(item => item.rarity);
+        const event = leveledUp
+            ? 'levelUp'
+            : ['legendary', 'epic', 'rare'].find(rarity => rarities.includes(rarity));
+        
+        if (event) {
+            setTimeout(() => this.playEventSound(event), 1500);
         }
     }
     
-    fallbackNotification() {
-        if ('speechSynthesis' in window && !this.state.isMuted) {
-            const utterance = new SpeechSynthesisUtterance('ポモドーロ完了');
-            utterance.volume = 0.1;
-            speechSynthesis.speak(utterance);
+    playEventSound(event) {
+        if (this.state.isMuted) return;
+        
+        this.soundPlayer.play(event).catch(error => {
+            console.warn('効果音の再生に失敗しました:', error);
+        });
+    }
+    
+    fallbackNotification(message) {
+        if (!this.state.isMuted) {
+            this.soundPlayer.speak(message);
         }
         
-        document.title = '🔔 ポモドーロ完了! - ポモドロ子';
-        setTimeout(() => { document.title = 'ポモドロ子'; }, 5000);
+        this.titleAlert = message;
+        document.title = `🔔 ${message}! - ${t('app.title')}`;
+        setTimeout(() => {
+            this.titleAlert = null;
+            this.updateDocumentTitle();
+        }, 5000);
+    }
+    
+    // ショートカットとコマンドパレットから実行できる操作
+    getCommands() {
+        const commands = {
+            toggle: { label: t('commands.toggle'), run: () => this.runCommand('toggle') },
+            reset: { label: t('commands.reset'), run: () => this.runCommand('abandon') },
+            skip: { label: t('commands.skip'), run: () => this.runCommand('skip') },
+            mute: { label: t('commands.mute'), run: () => this.toggleMute() },
+            metronome: { label: t('commands.metronome'), run: () => this.toggleMetronome() }
+        };
+        
+        document.querySelectorAll('.tab-btn').forEach(button => {
+            commands[`tab-${button.dataset.tab}`] = {
+                label: t('commands.openTab', { tab: button.textContent.trim() }),
+                run: () => this.tabSystem.switchTab(button.dataset.tab)
+            };
+        });
+        
+        commands.close = { label: t('commands.close'), run: () => this.closeOverlays() };
+        commands.help = { label: t('commands.help'), run: () => this.shortcuts.showHelp() };
+        commands.palette = { label: t('commands.palette'), run: () => this.palette.open() };
+        return commands;
+    }
+    
+    closeOverlays() {
+        this.palette.close();
+        this.shortcuts.hideHelp();
+        this.gameSystem.closeResult();
     }
     
     toggleMute() {
@@ -137,12 +688,37 @@ class PomodoroApp {
         this.updateMuteButton();
     }
     
+    toggleMetronome() {
+        this.settings.set('metronomeEnabled', !this.settings.get('metronomeEnabled'));
+        this.renderSettings();
+        this.updateMetronome();
+    }
+    
+    // メトロノームは集中フェーズで歩いている間だけ鳴らす
+    updateMetronome() {
+        if (this.settings.get('metronomeEnabled') && this.state.isRunning && this.isFocusPhase() && this.coordinator.isLeader) {
+            this.metronome.start();
+        } else {
+            this.metronome.stop();
+        }
+        this.updateMetronomeButton();
+    }
+    
+    updateMetronomeButton() {
+        const button = document.getElementById('metronomebtn');
+        const enabled = this.settings.get('metronomeEnabled');
+        
+        button.textContent = t(enabled ? 'timer.metronomeOn' : 'timer.metronomeOff');
+        button.title = t(enabled ? 'timer.metronomeTurnOff' : 'timer.metronomeTurnOn');
+        button.classList.toggle('muted', !enabled);
+    }
+    
     updateMuteButton() {
         const muteBtn = document.getElementById('mutebtn');
         const isMuted = this.state.isMuted;
         
-        muteBtn.textContent = isMuted ? '🔇アラームなし' : '🔊アラームあり';
-        muteBtn.title = isMuted ? 'アラーム音をオンにする' : 'アラーム音をオフにする';
+        muteBtn.textContent = t(isMuted ? 'timer.alarmOff' : 'timer.alarmOn');
+        muteBtn.title = t(isMuted ? 'timer.alarmTurnOn' : 'timer.alarmTurnOff');
         muteBtn.classList.toggle('muted', isMuted);
     }
     
@@ -150,13 +726,31 @@ class PomodoroApp {
         if (!this.state.startTime) return this.state.timer;
         
         const elapsed = Math.floor((Date.now() - this.state.startTime) / 1000);
-        const remaining = Math.max(0, this.TIMER_DURATION - elapsed);
+        const remaining = Math.max(0, this.getSessionDuration() - elapsed);
         
+        this.announceMilestone(this.state.timer, remaining);
         this.state.timer = remaining;
         this.updateDisplay();
         return remaining;
     }
     
+    // 残り時間が区切りをまたいだら読み上げる (まとめて進んだときは最後の区切りだけ)
+    announceMilestone(previous, remaining) {
+        if (!this.state.isRunning) return;
+        
+        const minutes = this.ANNOUNCE_MINUTES.filter(m => previous > m * 60 && remaining <= m * 60).pop();
+        if (minutes) this.announce(t('timer.remaining', { count: minutes }));
+    }
+    
+    // スクリーンリーダーに読み上げさせる (同じ文言でも読まれるよう、いったん空にしてから入れる)
+    announce(message) {
+        const region = document.getElementById('timerAnnouncer');
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+    
     syncTimer() {
         if (this.state.isRunning && this.state.startTime) {
             this.updateTimer();
@@ -171,6 +765,132 @@ class PomodoroApp {
         if (timerDisplay) {
             timerDisplay.textContent = `${minutes}:${seconds}`;
         }
+        this.updateDocumentTitle();
+    }
+    
+    // タブのタイトルとファビコンに残り時間を出す
+    updateDocumentTitle() {
+        const phase = this.PHASES[this.state.phase];
+        const active = this.state.isRunning || this.state.isPaused;
+        
+        if (!this.titleAlert) {
+            const minutes = String(Math.floor(this.state.timer / 60)).padStart(2, '0');
+            const seconds = String(this.state.timer % 60).padStart(2, '0');
+            const pauseMark = this.state.isPaused ? '⏸ ' : '';
+            document.title = active ? `${pauseMark}${minutes}:${seconds} ${phase.icon} ${t('app.title')}` : t('app.title');
+        }
+        
+        this.favicon.update(active
+            ? { minutes: Math.ceil(this.state.timer / 60), progress: 1 - this.state.timer / this.getSessionDuration(), color: phase.color }
+            : null);
+    }
+    
+    updatePhaseDisplay() {
+        const phase = this.PHASES[this.state.phase];
+        const interval = this.settings.get('longBreakInterval');
+        const cycleText = this.isFocusPhase()
+            ? ` (${(this.state.completedFocusCount % interval) + 1}/${interval})`
+            : '';
+        
+        const indicator = document.getElementById('phaseIndicator');
+        if (indicator) {
+            indicator.textContent = `${phase.icon} ${this.getPhaseLabel()}${cycleText}`;
+        }
+        
+        const timerBox = document.getElementById('timer');
+        Object.keys(this.PHASES).forEach(key => {
+            timerBox.classList.toggle(`phase-${key}`, key === this.state.phase);
+        });
+    }
+    
+    renderSettings() {
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const value = this.settings.get(input.dataset.setting);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+    }
+    
+    handleSettingChange(input) {
+        const key = input.dataset.setting;
+        
+        if (input.type === 'checkbox') {
+            this.settings.set(key, input.checked);
+        } else if (input.tagName === 'SELECT') {
+            this.settings.set(key, input.value);
+        } else if (input.type === 'text') {
+            const value = input.value.trim() || this.settings.defaults[key];
+            input.value = value;
+            this.settings.set(key, value);
+        } else {
+            let value = parseInt(input.value);
+            if (isNaN(value)) value = this.settings.defaults[key];
+            value = Math.max(parseInt(input.min), Math.min(parseInt(input.max), value));
+            input.value = value;
+            this.settings.set(key, value);
+        }
+        
+        // 停止中なら新しい長さを即時反映 (進行中・一時停止中のフェーズは開始時の長さのまま)
+        if (!this.state.isRunning && !this.state.isPaused) {
+            this.state.timer = this.getPhaseDuration();
+            this.updateDisplay();
+        }
+        this.updatePhaseDisplay();
+        this.updateMetronome();
+        this.goalTracker.render();
+        this.taskManager.displayRecords();
+        if (key === 'language') this.applyLanguage();
+        if (key === 'reduceMotion') this.applyMotionSetting();
+    }
+    
+    // 「自動」なら OS の「視差効果を減らす」などの設定に従う
+    isReducedMotion() {
+        const setting = this.settings.get('reduceMotion');
+        if (setting === 'auto') {
+            return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+        }
+        return setting === 'on';
+    }
+    
+    applyMotionSetting() {
+        const reduced = this.isReducedMotion();
+        document.body.classList.toggle('reduce-motion', reduced);
+        this.animationSystem.setReducedMotion(reduced);
+    }
+    
+    renderLanguageOptions() {
+        const select = document.getElementById('languageInput');
+        select.innerHTML = `<option value="">${escapeHTML(t('settings.languageAuto'))}</option>` + i18n.getLocales()
+            .map(locale => `<option value="${locale}">${escapeHTML(i18n.getName(locale))}</option>`)
+            .join('');
+        select.value = this.settings.get('language');
+    }
+    
+    // 表示言語を切り替え、JSで組み立てている表示をすべて作り直す
+    applyLanguage() {
+        i18n.setLocale(this.settings.get('language'));
+        i18n.translatePage();
+        
+        this.renderLanguageOptions();
+        this.updateStartButton();
+        this.updateMuteButton();
+        this.updateMetronomeButton();
+        this.updatePhaseDisplay();
+        this.updateDocumentTitle();
+        this.soundPlayer.renderSettings();
+        this.notifier.renderStatus();
+        this.shortcuts.renderSettings();
+        this.gameSystem.updateDisplay();
+        this.gameSystem.updateItemBoxDisplay();
+        this.taskManager.displayRecords();
+        this.taskManager.renderTaskList();
+        this.goalTracker.render();
+        this.goalTracker.renderTaskGoals();
+        this.achievements.render();
+        this.tabSystem.switchTab(this.tabSystem.currentTab);
     }
     
     handleBPMChange() {
@@ -190,449 +910,3554 @@ class PomodoroApp {
 }
 
 // ========================================
-// アニメーションシステム
+// ストレージ管理システム
 // ========================================
-class AnimationSystem {
-    constructor() {
-        this.frameCount = 6;
-        this.currentFrame = 1;
-        this.intervalId = null;
+class VersionedStore {
+    // merge(base, local, stored): 他のタブが先に書き込んでいたときに、双方の変更を合わせる
+    constructor(key, { defaults, migrations = [], merge = null }) {
+        this.key = key;
+        this.defaults = defaults;
+        // migrations[n] はバージョン n のデータを n + 1 に変換する
+        this.migrations = migrations;
+        this.version = migrations.length;
+        this.merge = merge;
+        
+        // 最後に読み書きした内容 (ほかのタブによる変更を見分ける基準)
+        this.lastRaw = null;
+        this.base = null;
     }
     
-    start(bpm) {
-        this.stop();
-        const interval = (60 / bpm) * 1000 / 3;
-        this.intervalId = setInterval(() => this.updateFrame(), interval);
+    load() {
+        const raw = localStorage.getItem(this.key);
+        if (raw === null) return this.createDefault();
+        
+        try {
+            const parsed = JSON.parse(raw);
+            const data = this.migrate(parsed);
+            
+            if (parsed.schemaVersion !== this.version) {
+                this.save(data);
+            } else {
+                this.remember(raw);
+            }
+            return data;
+        } catch (error) {
+            console.warn(`${this.key} の読み込みに失敗しました。バックアップを残して初期化します:`, error);
+            this.backup(raw);
+            return this.createDefault();
+        }
     }
     
-    stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+    migrate(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(t('storage.invalidData'));
+        }
+        
+        const fromVersion = data.schemaVersion || 0;
+        if (fromVersion > this.version) {
+            throw new Error(t('storage.unsupportedVersion', { version: fromVersion }));
         }
+        
+        const migrated = this.migrations
+            .slice(fromVersion)
+            .reduce((current, migration) => migration(current), data);
+        
+        return { ...migrated, schemaVersion: this.version };
     }
     
-    updateSpeed(bpm) {
-        if (this.intervalId) {
-            this.start(bpm);
+    // 保存した内容を返す (ほかのタブの変更を合わせた場合は新しいオブジェクト)
+    save(data) {
+        let next = data;
+        const raw = this.merge && localStorage.getItem(this.key);
+        
+        if (raw && raw !== this.lastRaw && this.base) {
+            try {
+                next = this.merge(this.base, data, this.migrate(JSON.parse(raw)));
+            } catch (error) {
+                console.warn(`${this.key} をほかのタブの変更と合わせられませんでした。このタブの内容で上書きします:`, error);
+            }
         }
+        
+        const serialized = JSON.stringify({ ...next, schemaVersion: this.version });
+        localStorage.setItem(this.key, serialized);
+        this.remember(serialized);
+        return next;
     }
     
-    updateFrame() {
-        this.currentFrame = (this.currentFrame % this.frameCount) + 1;
-        document.getElementById('character').src = `images/walk${this.currentFrame}.png`;
+    remember(raw) {
+        if (!this.merge) return;
+        this.lastRaw = raw;
+        this.base = JSON.parse(raw);
     }
     
-    resetCharacter() {
-        this.currentFrame = 1;
-        document.getElementById('character').src = 'images/walk1.png';
+    backup(raw) {
+        try {
+            localStorage.setItem(`${this.key}.backup`, raw);
+        } catch (error) {
+            console.warn(`${this.key} のバックアップに失敗しました:`, error);
+        }
+    }
+    
+    createDefault() {
+        const data = this.defaults();
+        return data && { ...data, schemaVersion: this.version };
     }
 }
 
 // ========================================
-// タスク管理システム
+// 設定管理システム
 // ========================================
-class TaskManager {
+class SettingsManager {
     constructor() {
-        this.data = this.loadData();
-        this.updateUI();
-    }
+        this.defaults = {
+            focusMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            longBreakInterval: 4,
+            autoStartBreaks: false,
+            autoStartFocus: false,
+            dailyGoal: 8,
+            weeklyGoal: 40,
+            taskGoals: {}, // タスクID → 1日の目標回数
+            metronomeEnabled: false,
+            metronomeSound: 'click',
+            metronomeAccent: 4, // 何拍ごとに強く鳴らすか (0で無効)
+            metronomeVolume: 50,
+            masterVolume: 80,
+            sounds: { // 出来事 → 音の種類
+                focusEnd: 'alarm',
+                breakEnd: 'chime',
+                levelUp: 'fanfare',
+                rare: 'sparkle',
+                epic: 'sparkle',
+                legendary: 'fanfare',
+                achievement: 'bell'
+            },
+            ttsEnabled: false,
+            ttsFocusMessage: '', // 空なら表示言語での既定の文言
+            ttsBreakMessage: '',
+            ttsVoice: '', // 空なら既定の声
+            notificationsEnabled: false,
+            language: '', // 空ならブラウザの言語
+            reduceMotion: 'auto', // 'auto' なら OS の設定に従う
+            shortcuts: { // 操作 → キー (空ならなし)
+                toggle: 'Space',
+                reset: 'R',
+                skip: '',
+                mute: 'M',
+                metronome: '',
+                'tab-tasks': '1',
+                'tab-tasklist': '2',
+                'tab-items': '3',
+                'tab-achievements': '4',
+                'tab-stats': '5',
+                'tab-settings': '6',
+                close: 'Escape',
+                help: '?',
+                palette: 'Ctrl+K'
+            }
+        };
+        this.store = new VersionedStore('pomodoroSettings', {
+            defaults: () => ({}),
+            migrations: [
+                // v0 → v1: 読み上げの文言が既定のままなら、表示言語に合わせて変わるよう空にする
+                (data) => {
+                    const migrated = { ...data };
+                    if (migrated.ttsFocusMessage === 'ポモドーロ完了') migrated.ttsFocusMessage = '';
+                    if (migrated.ttsBreakMessage === '休憩終了') migrated.ttsBreakMessage = '';
+                    return migrated;
+                },
+                // v1 → v2: タスク別の目標をタスクIDで持つ (タスク名で持っていた目標は GoalTracker がタスクに付け替える)
+                (data) => {
+                    const { taskGoals, ...rest } = data;
+                    return taskGoals && Object.keys(taskGoals).length > 0 ? { ...rest, legacyTaskGoals: taskGoals } : rest;
+                }
+            ],
+            merge: (base, local, stored) => this.mergeSettings(base, local, stored)
+        });
+        this.reload();
+    }
     
-    loadData() {
-        const saved = localStorage.getItem('pomodoroTasks');
-        return saved ? JSON.parse(saved) : { tasks: [], completions: [] };
+    reload() {
+        this.data = { ...this.defaults, ...this.store.load() };
     }
     
     saveData() {
-        localStorage.setItem('pomodoroTasks', JSON.stringify(this.data));
+        this.data = this.store.save(this.data);
     }
     
-    recordCompletion(taskName) {
-        taskName = taskName.trim() || '無題のタスク';
-        
-        if (!this.data.tasks.includes(taskName)) {
-            this.data.tasks.push(taskName);
-        }
-        
-        this.data.completions.push({
-            taskName,
-            date: new Date().toDateString(),
-            timestamp: new Date().toISOString()
+    // 設定は数を足し合わせず、このタブで変えた項目だけを上書きする
+    mergeSettings(base, local, stored) {
+        const merged = { ...stored };
+        Object.keys(local).forEach(key => {
+            if (!isSameData(local[key], base[key])) merged[key] = local[key];
         });
-        
+        return merged;
+    }
+    
+    get(key) {
+        return this.data[key];
+    }
+    
+    set(key, value) {
+        this.data[key] = value;
         this.saveData();
-        this.updateUI();
+    }
+}
+
+// ========================================
+// 多言語対応
+// ========================================
+// 文言は locales/*.js が LOCALES に登録する。訳の無い文言は日本語で、日本語にも無ければキーのまま表示する
+class I18n {
+    constructor(locales) {
+        this.locales = locales;
+        this.FALLBACK = 'ja';
+        this.locale = this.FALLBACK;
     }
     
-    updateUI() {
-        this.updateSuggestions();
-        this.displayRecords();
+    getLocales() {
+        return Object.keys(this.locales);
     }
     
-    updateSuggestions() {
-        const datalist = document.getElementById('taskSuggestions');
-        datalist.innerHTML = '';
-        
-        const frequency = {};
-        this.data.completions.forEach(c => {
-            frequency[c.taskName] = (frequency[c.taskName] || 0) + 1;
-        });
-        
-        const sorted = this.data.tasks.sort((a, b) => (frequency[b] || 0) - (frequency[a] || 0));
-        
-        sorted.forEach(task => {
-            const option = document.createElement('option');
-            option.value = task;
-            datalist.appendChild(option);
-        });
-        
-        document.getElementById('taskInput').setAttribute('list', 'taskSuggestions');
+    getName(locale) {
+        return this.lookup(locale, 'meta.name') || locale;
     }
     
-    displayRecords() {
-        const container = document.getElementById('recordsList');
+    // 空や未知の言語ならブラウザの言語から選ぶ
+    setLocale(locale) {
+        this.locale = this.locales[locale] ? locale : this.detectLocale();
+        if (typeof document !== 'undefined') document.documentElement.lang = this.locale;
+    }
+    
+    detectLocale() {
+        const languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+        return languages
+            .map(language => String(language).split('-')[0])
+            .find(language => this.locales[language]) || this.FALLBACK;
+    }
+    
+    lookup(locale, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), this.locales[locale]);
+    }
+    
+    // {name} を params で置き換える。{ one, other } の文言は params.count で選ぶ
+    t(key, params = {}) {
+        let value = this.lookup(this.locale, key);
+        if (value === undefined) value = this.lookup(this.FALLBACK, key);
+        if (value === undefined) return key;
         
-        if (this.data.completions.length === 0) {
-            container.innerHTML = '記録はありません';
-            return;
+        if (typeof value === 'object') {
+            value = value[new Intl.PluralRules(this.getDateLocale()).select(params.count)] || value.other;
         }
-        
-        const grouped = {};
-        this.data.completions.forEach(completion => {
-            const { date, taskName } = completion;
-            if (!grouped[date]) grouped[date] = {};
-            grouped[date][taskName] = (grouped[date][taskName] || 0) + 1;
-        });
-        
-        const html = Object.keys(grouped)
-            .sort((a, b) => new Date(b) - new Date(a))
-            .map(date => {
-                const tasks = Object.entries(grouped[date])
-                    .map(([task, count]) => `<li>${task}: ${count}回完了</li>`)
-                    .join('');
-                return `<div style="margin-bottom: 10px;"><strong>${date}</strong><ul style="margin: 5px 0;">${tasks}</ul></div>`;
-            })
-            .join('');
-        
-        container.innerHTML = html;
+        return String(value).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
     }
     
-    exportData() {
-        const csvHeader = 'タスク名,完了日時,所要時間(分),メモ\n';
-        
-        const csvRows = this.data.completions.map(completion => {
-            const taskName = completion.task || '未設定';
-            const completedAt = new Date(completion.timestamp).toLocaleString('ja-JP');
-            const duration = Math.round(completion.duration / 60);
-            const memo = '';
-            
-            const escapeCSV = (value) => {
-                if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-                    return `"${value.replace(/"/g, '""')}"`;
-                }
-                return value;
-            };
-            
-            return `${escapeCSV(taskName)},${escapeCSV(completedAt)},${duration},${escapeCSV(memo)}`;
-        }).join('\n');
-        
-        const csvContent = csvHeader + csvRows;
-        const bom = '\uFEFF';
-        const blob = new Blob([bom + csvContent], { type: 'text/csv;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
+    // すべての言語での訳 (取り込むファイルがどの言語で書き出されたかわからないとき用)
+    variants(key) {
+        return this.getLocales()
+            .map(locale => this.lookup(locale, key))
+            .filter(value => typeof value === 'string');
+    }
+    
+    // ========================================
+    // 日付
+    // ========================================
+    getDateLocale() {
+        return this.lookup(this.locale, 'meta.dateLocale') || this.locale;
+    }
+    
+    formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric', weekday: 'short' }) {
+        return new Date(date).toLocaleDateString(this.getDateLocale(), options);
+    }
+    
+    formatTime(date) {
+        return new Date(date).toLocaleTimeString(this.getDateLocale(), { hour: '2-digit', minute: '2-digit' });
+    }
+    
+    formatDateTime(date) {
+        return new Date(date).toLocaleString(this.getDateLocale());
+    }
+    
+    // ========================================
+    // HTML に書かれた文言
+    // ========================================
+    // data-i18n は本文、data-i18n-placeholder などは属性を置き換える
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
         
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `ポモドロ記録-${new Date().toISOString().split('T')[0]}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const attributes = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+        Object.entries(attributes).forEach(([dataKey, attribute]) => {
+            const selector = `[data-${dataKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}]`;
+            root.querySelectorAll(selector).forEach(element => {
+                element.setAttribute(attribute, this.t(element.dataset[dataKey]));
+            });
+        });
+        document.title = this.t('app.title');
     }
 }
 
 // ========================================
-// ゲームシステム
+// アニメーションシステム
 // ========================================
-class GameSystem {
+class AnimationSystem {
     constructor() {
-        this.playerData = this.loadPlayerData();
-        this.itemBoxes = [];
-        this.explorationTimer = null;
-        this.startTime = null;
-        this.itemData = null;
+        this.canvas = document.getElementById('character');
+        this.ctx = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+        this.SIZE = 256;
+        this.FRAMES_PER_BEAT = 3;
+        this.SCROLL_PER_BEAT = 16; // 1拍で背景が流れるピクセル数
+        
+        // 一度だけ再生して元の状態に戻るもの (ミリ秒)
+        this.ONE_SHOT_DURATIONS = { celebrate: 1600, openBox: 700 };
         
-        this.loadItemData();
+        this.spriteSets = { default: { frames: [1, 2, 3, 4, 5, 6].map(n => `images/walk${n}.png`), filter: 'none' } };
+        this.sheets = {};
+        this.appearance = { spriteSet: 'default', overlays: [] };
+        this.background = { wall: '#6b6157', brick: '#5a5148', floor: '#4a423b' };
+        
+        this.state = 'idle';
+        this.oneShot = null;
+        this.reducedMotion = false;
+        this.bpm = 120;
+        // 拍数は描画ループと切り離して実時間から求める (タブが隠れていても進む)
+        this.beatBase = 0;
+        this.beatBaseTime = performance.now();
+        this.frameRequest = null;
+        
+        this.loadSheet('default');
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pause();
+            } else {
+                this.resume();
+            }
+        });
+        this.resume();
     }
     
-    async loadItemData() {
-        try {
-            if (window.location.protocol === 'file:') {
-                this.itemData = this.getFallbackItemData();
-                return;
-            }
-            
-            const response = await fetch('items.json');
-            this.itemData = await response.json();
-        } catch (error) {
-            console.warn('アイテムデータの読み込みに失敗しました。フォールバックデータを使用します');
-            this.itemData = this.getFallbackItemData();
-        }
+    // ========================================
+    // 状態
+    // ========================================
+    start(bpm) {
+        this.rebaseBeats();
+        this.bpm = bpm;
+        this.state = 'walk';
     }
     
-    getFallbackItemData() {
-        return {
-            items: {
-                common: ['サビたスプーン', 'オイル切れライター', 'アルミの弁当箱', '折れた鉛筆の芯', 'カエルの指人形', 'ペットボトルロケット', '手書きの魔法陣', 'カフェのポイントカード', '5色ボールペン', '充電ケーブル', '缶コーヒー', '理髪店のサインポール', '熊の置物', 'りんご', '小銭', 'くたびれた長靴', '呼び鈴', 'トランプ', 'インスタントカメラ', 'めざまし時計'],
-                rare: ['魔法の水晶', '古代の書物', '光る石', '銀の指輪', '精霊の羽'],
-                epic: ['ドラゴンの鱗', '賢者の杖', '時の砂時計', '聖なる盾', '不死鳥の羽根'],
-                legendary: ['世界樹の葉', '創造の石', '無限の知識', '星の欠片', '真理の書']
-            },
-            descriptions: {
-                'サビたスプーン': '壁を掘るには心もとない',
-                'オイル切れライター': 'もう役目を終えている',
-                'アルミの弁当箱': 'フタがピッタリはまると気持ちいい',
-                '折れた鉛筆の芯': 'どうやって芯だけ見つけたんだろう',
-                'カエルの指人形': '小さい頃、薬局で見たことがある',
-                'ペットボトルロケット': 'ヒトに向けてはいけません',
-                '手書きの魔法陣': '裏はレシート',
-                'カフェのポイントカード': 'スタンプが1つ押してある',
-                '5色ボールペン': '大人になると買わなくなるかも',
-                '充電ケーブル': 'ラベルにはvodafoneと書いてある',
-                '缶コーヒー': 'インスタントお茶会用',
-                '理髪店のサインポール': 'イギリスでは赤と白の2色らしい',
-                '熊の置物': '当然のように鮭を咥えている',
-                'りんご': 'アップルパイやタタンがすき！',
-                '小銭': 'これで迷ったときにコイントスできるよ',
-                'くたびれた長靴': '中に雨水が溜まっている',
-                '呼び鈴': '山を歩く時に使えるかも？',
-                'トランプ': 'ドレスもシュラフもほしい',
-                'インスタントカメラ': 'なにが写っているのか気になる',
-                'めざまし時計': 'たまには距離をおきたくなるよね',
-                '魔法の水晶': '魔力を宿した美しい水晶。触れると温かい。',
-                '古代の書物': '古代文字で書かれた謎の書物。知識の宝庫だ。',
-                '光る石': '暗闇でも光を放つ不思議な石。道標として使えそう。',
-                '銀の指輪': '精巧な細工が施された銀製の指輪。高価そうだ。',
-                '精霊の羽': '風の精霊が落とした羽根。軽やかで美しい。',
-                'ドラゴンの鱗': '伝説のドラゴンの鱗。とても硬く、貴重な防具の材料。',
-                '賢者の杖': '古の賢者が愛用した杖。知恵の力が宿っている。',
-                '時の砂時計': '時を操ると言われる神秘的な砂時計。',
-                '聖なる盾': '神に祝福された盾。あらゆる災いを防ぐ。',
-                '不死鳥の羽根': '不死鳥の美しい羽根。再生の力を持つという。',
-                '世界樹の葉': '世界の中心に立つ巨大な樹の葉。生命力に満ちている。',
-                '創造の石': '世界を創造したとされる神秘の石。無限の可能性を秘める。',
-                '無限の知識': '全ての知識が込められた結晶体。真理への扉だ。',
-                '星の欠片': '夜空から落ちた星の欠片。宇宙の神秘が宿る。',
-                '真理の書': '世界の真理が記された究極の書物。読む者を選ぶ。'
-            },
-            boxImages: {
-                common: 'images/Common_box.png',
-                rare: 'images/Rare_box.png',
-                epic: 'images/Epic_box.png',
-                legendary: 'images/Legendary_box.png'
-            },
-            rarityColors: {
-                common: '#8B4513',
-                rare: '#4169E1',
-                epic: '#9932CC',
-                legendary: '#FFD700'
-            },
-            experienceBonuses: {
-                common: 0,
-                rare: 10,
-                epic: 25,
-                legendary: 50
-            }
-        };
+    stop() {
+        this.rebaseBeats();
+        this.state = 'idle';
     }
     
-    loadPlayerData() {
-        const saved = localStorage.getItem('pomodoroGameData');
-        return saved ? JSON.parse(saved) : {
-            level: 1,
-            exp: 0,
-            totalItems: 0,
-            inventory: {},
-            discoveredItems: {},
-            totalPomodoros: 0
-        };
+    updateSpeed(bpm) {
+        // それまでの拍数を確定してから速さを変えるので、コマが飛ばない
+        this.rebaseBeats();
+        this.bpm = bpm;
     }
     
-    savePlayerData() {
-        localStorage.setItem('pomodoroGameData', JSON.stringify(this.playerData));
+    rest() {
+        this.resetCharacter();
+        this.state = 'idle';
     }
     
-    startExploration() {
-        this.itemBoxes = [];
-        this.startTime = Date.now();
-        this.updateItemBoxDisplay();
-        
-        this.explorationTimer = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-            const expectedBoxes = Math.min(5, Math.floor(elapsed / (5 * 60)));
-            
-            while (this.itemBoxes.length < expectedBoxes) {
-                this.addItemBox();
-            }
-        }, 1000);
+    resetCharacter() {
+        this.beatBase = 0;
+        this.beatBaseTime = performance.now();
     }
     
-    stopExploration() {
-        if (this.explorationTimer) {
-            clearInterval(this.explorationTimer);
-            this.explorationTimer = null;
+    getBeats(now = performance.now()) {
+        if (this.state !== 'walk') return this.beatBase;
+        return this.beatBase + (now - this.beatBaseTime) * this.bpm / 60000;
+    }
+    
+    rebaseBeats(now = performance.now()) {
+        this.beatBase = this.getBeats(now);
+        this.beatBaseTime = now;
+    }
+    
+    play(state) {
+        this.oneShot = { state, startedAt: performance.now() };
+    }
+    
+    // 動きを減らす設定では、歩かせず背景も流さずに止まった絵だけを描く (拍数は進むのでメトロノームはそのまま)
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+    }
+    
+    getCurrentState(now) {
+        if (this.oneShot && now - this.oneShot.startedAt < this.ONE_SHOT_DURATIONS[this.oneShot.state]) {
+            return { state: this.oneShot.state, elapsed: now - this.oneShot.startedAt };
         }
-        this.startTime = null;
+        this.oneShot = null;
+        return { state: this.state, elapsed: now };
     }
     
-    clearBoxes() {
-        this.itemBoxes = [];
-        this.updateItemBoxDisplay();
+    // ========================================
+    // 絵柄
+    // ========================================
+    // 絵柄は frames (コマ画像) か sheet (横並びの1枚) を持つ。色違い (variantOf) は元の絵柄のコマを filter で色だけ変えて描く
+    setSpriteSets(spriteSets) {
+        this.spriteSets = { ...this.spriteSets, ...spriteSets };
+        Object.keys(this.spriteSets).forEach(id => this.loadSheet(id));
     }
     
-    addItemBox() {
-        const rarity = this.determineRarity();
-        this.itemBoxes.push({ rarity, item: null });
-        this.updateItemBoxDisplay();
+    setAppearance(appearance) {
+        this.appearance = appearance;
+        this.loadSheet(appearance.spriteSet);
     }
     
-    determineRarity() {
-        const levelBonus = (this.playerData.level - 1) * 0.5;
-        const random = Math.random() * 100;
-        
-        if (random < 0.5 + levelBonus) return 'legendary';
-        if (random < 4 + levelBonus) return 'epic';
-        if (random < 15 + levelBonus) return 'rare';
-        return 'common';
+    setBackground(background) {
+        if (background) this.background = background;
     }
     
-    updateItemBoxDisplay() {
-        const container = document.getElementById('itemBoxes');
-        if (!container) return;
-        
-        container.innerHTML = '';
-        
-        if (!this.itemData) return;
+    getSheetId(id) {
+        const set = this.spriteSets[id];
+        return set && set.variantOf ? set.variantOf : id;
+    }
+    
+    loadSheet(id) {
+        id = this.getSheetId(id);
+        const set = this.spriteSets[id];
+        if (!set || this.sheets[id]) return this.sheets[id];
         
-        this.itemBoxes.forEach(box => {
-            const img = document.createElement('img');
-            img.src = this.itemData.boxImages[box.rarity];
-            img.style.cssText = 'width: 24px; height: 24px; image-rendering: pixelated; margin: 2px;';
-            img.title = `${box.rarity} アイテムボックス`;
-            container.appendChild(img);
+        // 1枚の画像 (横並び) があればそのまま使い、なければコマ画像を1枚の画像にまとめる
+        const sources = set.sheet ? [set.sheet.src] : set.frames;
+        const images = sources.map(src => {
+            const image = new Image();
+            image.src = src;
+            return image.decode ? image.decode().then(() => image) : Promise.resolve(image);
         });
+        
+        this.sheets[id] = Promise.all(images)
+            .then(loaded => {
+                const frameCount = set.sheet ? set.sheet.frameCount : loaded.length;
+                if (set.sheet) {
+                    this.sheets[id] = { image: loaded[0], frameCount, frameWidth: loaded[0].width / frameCount, frameHeight: loaded[0].height };
+                    return;
+                }
+                
+                const sheet = document.createElement('canvas');
+                sheet.width = this.SIZE * frameCount;
+                sheet.height = this.SIZE;
+                const context = sheet.getContext('2d');
+                loaded.forEach((image, index) => context.drawImage(image, index * this.SIZE, 0, this.SIZE, this.SIZE));
+                this.sheets[id] = { image: sheet, frameCount, frameWidth: this.SIZE, frameHeight: this.SIZE };
+            })
+            .catch(error => {
+                console.warn('キャラクター画像の読み込みに失敗しました:', id, error);
+                delete this.sheets[id];
+            });
+        return this.sheets[id];
     }
     
-    completeExploration() {
-        this.stopExploration();
+    getSheet() {
+        const sheet = this.sheets[this.getSheetId(this.appearance.spriteSet)];
+        if (sheet && !(sheet instanceof Promise)) return sheet;
         
-        if (!this.itemData) {
-            this.itemData = this.getFallbackItemData();
+        const fallback = this.sheets.default;
+        return fallback && !(fallback instanceof Promise) ? fallback : null;
+    }
+    
+    // ========================================
+    // 描画ループ
+    // ========================================
+    pause() {
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
         }
+    }
+    
+    resume() {
+        if (this.frameRequest || !this.ctx) return;
+        this.frameRequest = requestAnimationFrame((now) => this.tick(now));
+    }
+    
+    tick(now) {
+        this.draw(now);
+        this.frameRequest = requestAnimationFrame((time) => this.tick(time));
+    }
+    
+    draw(now) {
+        const { ctx } = this;
+        const { state, elapsed } = this.getCurrentState(now);
+        const beats = this.reducedMotion ? 0 : this.getBeats(now);
         
-        const foundItems = [];
-        let totalExpBonus = 0;
-        
-        this.itemBoxes.forEach(box => {
-            const itemList = this.itemData.items[box.rarity];
-            const item = itemList[Math.floor(Math.random() * itemList.length)];
-            
-            box.item = item;
-            foundItems.push({ name: item, rarity: box.rarity });
-            
-            this.playerData.inventory[item] = (this.playerData.inventory[item] || 0) + 1;
-            this.playerData.discoveredItems[item] = box.rarity;
-            
-            totalExpBonus += this.itemData.experienceBonuses[box.rarity];
-        });
+        this.drawBackground(beats);
         
-        const totalExp = 100 + totalExpBonus;
-        const oldLevel = this.playerData.level;
+        const sheet = this.getSheet();
+        if (!sheet) return;
         
-        this.playerData.exp += totalExp;
-        this.playerData.totalItems += foundItems.length;
-        this.playerData.totalPomodoros++;
-        this.playerData.level = Math.floor(this.playerData.exp / 100) + 1;
+        let frame = 0;
+        let offsetX = 0;
+        let offsetY = 0;
+        // 動きを減らすときはどの状態にも当てはめず、最初のコマを止めて描く
+        switch (this.reducedMotion ? 'still' : state) {
+            case 'walk':
+                frame = Math.floor(beats * this.FRAMES_PER_BEAT) % sheet.frameCount;
+                break;
+            case 'idle':
+                // ゆっくり息をするように上下する
+                offsetY = 3 - 3 * Math.cos(elapsed / 3000 * 2 * Math.PI);
+                break;
+            case 'celebrate':
+                frame = Math.floor(elapsed / 80) % sheet.frameCount;
+                offsetY = -Math.abs(Math.sin(elapsed / 400 * Math.PI)) * 30;
+                break;
+            case 'openBox':
+                offsetX = Math.sin(elapsed / 30) * 4;
+                break;
+        }
         
-        const leveledUp = this.playerData.level > oldLevel;
+        const set = this.spriteSets[this.appearance.spriteSet] || this.spriteSets.default;
+        ctx.filter = set.filter || 'none';
+        ctx.drawImage(sheet.image, frame * sheet.frameWidth, 0, sheet.frameWidth, sheet.frameHeight,
+            offsetX, offsetY, this.SIZE, this.SIZE);
+        ctx.filter = 'none';
         
-        this.savePlayerData();
-        this.updateDisplay();
-        this.showResult(foundItems, totalExp, leveledUp);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.appearance.overlays.forEach(overlay => {
+            ctx.font = `${overlay.size}px sans-serif`;
+            ctx.fillText(overlay.emoji, overlay.x + offsetX, overlay.y + offsetY);
+        });
         
-        this.itemBoxes = [];
-        this.updateItemBoxDisplay();
+        if (state === 'openBox') {
+            const scale = this.reducedMotion ? 1 : Math.min(1, elapsed / 200);
+            ctx.font = `${Math.round(48 * scale)}px sans-serif`;
+            ctx.fillText('🎁', this.SIZE / 2, 40);
+        }
     }
     
-    showResult(items, exp, leveledUp) {
-        const modal = document.getElementById('resultModal');
-        const background = document.getElementById('modalBackground');
+    drawBackground(beats) {
+        const { ctx, SIZE, background } = this;
+        const floorTop = SIZE - 40;
+        const brickWidth = 48;
+        const brickHeight = 24;
+        const scroll = (beats * this.SCROLL_PER_BEAT) % brickWidth;
         
-        if (!modal || !background) {
-            console.error('モーダル要素が見つかりません');
-            return;
-        }
+        ctx.fillStyle = background.wall;
+        ctx.fillRect(0, 0, SIZE, floorTop);
         
-        if (!this.itemData) {
-            this.itemData = this.getFallbackItemData();
+        // レンガの目地を、歩いた分だけ左へ流す
+        ctx.strokeStyle = background.brick;
+        ctx.lineWidth = 2;
+        for (let row = 0; row * brickHeight < floorTop; row++) {
+            const y = row * brickHeight;
+            const shift = row % 2 === 0 ? 0 : brickWidth / 2;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(SIZE, y);
+            for (let x = -brickWidth * 2 + shift - scroll; x < SIZE; x += brickWidth) {
+                ctx.moveTo(x, y);
+                ctx.lineTo(x, Math.min(y + brickHeight, floorTop));
+            }
+            ctx.stroke();
         }
         
-        const itemsHtml = items.length > 0 
-            ? items.map(item => 
-                `<span style="color: ${this.itemData.rarityColors[item.rarity]};">• ${item.name} (${item.rarity})</span>`
-              ).join('<br>')
-            : '<span style="color: #999;">アイテムは見つかりませんでした</span>';
+        ctx.fillStyle = background.floor;
+        ctx.fillRect(0, floorTop, SIZE, SIZE - floorTop);
+    }
+}
+
+// ========================================
+// メトロノーム
+// ========================================
+// 歩行アニメーションの拍に合わせて Web Audio で刻む (先読みして予約する方式)
+class Metronome {
+    constructor(settings, animationSystem) {
+        this.settings = settings;
+        this.animationSystem = animationSystem;
+        this.audioContext = null;
+        this.schedulerId = null;
+        this.nextBeat = 0;
         
-        this.setElementContent('foundItems', `<strong>🎁 発見したアイテム:</strong><br>${itemsHtml}`);
-        this.setElementContent('expGained', `✨経験値 +${exp}`);
+        this.SCHEDULE_INTERVAL = 25; // ミリ秒
+        // 隠れたタブではタイマーが1秒ごとに間引かれるので、長めに予約しておく
+        this.LOOKAHEAD = { visible: 0.1, hidden: 1.5 }; // 秒
         
-        const levelUpDiv = document.getElementById('levelUpMessage');
-        if (levelUpDiv) {
-            if (leveledUp) {
-                levelUpDiv.innerHTML = `🎉 レベルアップ！ Lv.${this.playerData.level}`;
-                levelUpDiv.style.display = 'block';
-            } else {
-                levelUpDiv.style.display = 'none';
-            }
+        // 音色: [通常の周波数, アクセントの周波数, 波形, 長さ(秒)]
+        this.SOUNDS = {
+            click: [1000, 1500, 'square', 0.03],
+            wood: [800, 1200, 'triangle', 0.05],
+            beep: [880, 1320, 'sine', 0.08]
+        };
+    }
+    
+    start() {
+        if (this.schedulerId) return;
+        
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            this.audioContext = new AudioContextClass();
         }
+        this.audioContext.resume();
         
-        modal.style.display = 'block';
-        background.style.display = 'block';
+        // 歩き出した直後なら、その最初の拍から鳴らす
+        this.nextBeat = Math.ceil(this.animationSystem.getBeats() - 0.05);
+        this.schedulerId = setInterval(() => this.schedule(), this.SCHEDULE_INTERVAL);
+        this.schedule();
     }
     
-    getPlayerTitle(level) {
-        if (level >= 50) return "ポモドロマスター";
-        if (level >= 40) return "ツアーガイド";
-        if (level >= 30) return "ポモドロ名人";
-        if (level >= 25) return "散歩が大好き";
-        if (level >= 20) return "敬虔ポモドラー";
-        if (level >= 15) return "蒐集上手";
-        if (level >= 10) return "25分間の探索者";
-        if (level >= 5) return "ポモドロ慣れ";
-        return "初級ポモドラー";
+    stop() {
+        if (this.schedulerId) {
+            clearInterval(this.schedulerId);
+            this.schedulerId = null;
+        }
     }
-
-    updateDisplay() {
-        const level = this.playerData.level;
-        const title = this.getPlayerTitle(level);
-        
-        this.setElementContent('level', level);
-        this.setElementContent('currentExp', this.playerData.exp % 100);
-        this.setElementContent('nextExp', '100');
+    
+    schedule() {
+        const beats = this.animationSystem.getBeats();
+        const secondsPerBeat = 60 / this.animationSystem.bpm;
+        const lookahead = document.hidden ? this.LOOKAHEAD.hidden : this.LOOKAHEAD.visible;
         
-        const playerLevelElement = document.getElementById('playerLevel');
-        if (playerLevelElement) {
-            playerLevelElement.innerHTML = `Lv.<span id="level">${level}</span>  ${title}`;
+        // 拍がずれて追い越していたら、次の拍から刻み直す
+        if (this.nextBeat < beats - 0.5) {
+            this.nextBeat = Math.ceil(beats);
         }
         
-        const expPercent = this.playerData.exp % 100;
-        const expBarElement = document.getElementById('expBar');
-        if (expBarElement) {
-            expBarElement.style.width = expPercent + '%';
+        while ((this.nextBeat - beats) * secondsPerBeat < lookahead) {
+            const delay = Math.max(0, (this.nextBeat - beats) * secondsPerBeat);
+            this.playTick(this.audioContext.currentTime + delay, this.isAccent(this.nextBeat));
+            this.nextBeat++;
         }
-        
-        const floor = Math.floor(this.playerData.totalPomodoros / 10) + 1;
-        this.setElementContent('dungeonInfo', `📍 迷宮 ${floor}F を探索中`);
+    }
+    
+    isAccent(beat) {
+        const accent = this.settings.get('metronomeAccent');
+        return accent > 0 && beat % accent === 0;
+    }
+    
+    playTick(time, accent) {
+        const [frequency, accentFrequency, type, length] = this.SOUNDS[this.settings.get('metronomeSound')] || this.SOUNDS.click;
+        const volume = this.settings.get('metronomeVolume') / 100 * this.settings.get('masterVolume') / 100;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        oscillator.type = type;
+        oscillator.frequency.value = accent ? accentFrequency : frequency;
+        
+        // 立ち上がりを鋭く、すぐに減衰させる
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, volume * (accent ? 1 : 0.6)), time + 0.002);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+        
+        oscillator.connect(gain).connect(this.audioContext.destination);
+        oscillator.start(time);
+        oscillator.stop(time + length + 0.01);
+    }
+}
+
+// ========================================
+// サウンド
+// ========================================
+class SoundPlayer {
+    constructor(settings) {
+        this.settings = settings;
+        this.library = new SoundLibrary();
+        this.audioContext = null;
+        this.customUrl = null;
+        
+        this.customName = null;
+        
+        this.alarmSound = new Audio('sound/alarm.mp3');
+        this.alarmSound.preload = 'auto';
+        
+        // 表示名は sounds.events.* と sounds.names.*
+        this.EVENTS = ['focusEnd', 'breakEnd', 'levelUp', 'rare', 'epic', 'legendary', 'achievement'];
+        this.SOUND_NAMES = ['none', 'alarm', 'chime', 'bell', 'fanfare', 'sparkle', 'custom'];
+        // 合成音: [周波数, 開始(秒), 長さ(秒)] の並び
+        this.TONES = {
+            chime: [[1047, 0, 0.4], [1319, 0.15, 0.4], [1568, 0.3, 0.6]],
+            bell: [[880, 0, 1.2], [1760, 0, 0.6]],
+            fanfare: [[784, 0, 0.12], [1047, 0.12, 0.12], [1319, 0.24, 0.12], [1568, 0.36, 0.5]],
+            sparkle: [[1760, 0, 0.1], [2093, 0.08, 0.1], [2637, 0.16, 0.25]]
+        };
+        this.MAX_CUSTOM_SIZE = 5 * 1024 * 1024;
+        
+        this.bindEvents();
+        this.renderSettings();
+        this.ready = this.loadCustomSound();
+    }
+    
+    bindEvents() {
+        const eventList = document.getElementById('soundEventList');
+        eventList.addEventListener('change', (e) => {
+            const select = e.target.closest('[data-sound-event]');
+            if (!select) return;
+            this.settings.set('sounds', { ...this.settings.get('sounds'), [select.dataset.soundEvent]: select.value });
+        });
+        eventList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preview]');
+            if (!button) return;
+            this.play(button.dataset.preview).catch(error => console.warn('試聴に失敗しました:', error));
+        });
+        
+        document.getElementById('customSoundBtn').addEventListener('click', () => {
+            document.getElementById('customSoundFile').click();
+        });
+        document.getElementById('customSoundFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.saveCustomSound(file);
+        });
+        document.getElementById('deleteCustomSoundBtn').addEventListener('click', () => this.deleteCustomSound());
+        document.getElementById('ttsPreviewBtn').addEventListener('click', () => this.speak(this.getMessage('focusEnd')));
+        
+        if ('speechSynthesis' in window) {
+            speechSynthesis.addEventListener('voiceschanged', () => this.renderVoices());
+        }
+    }
+    
+    getSound(event) {
+        return this.settings.get('sounds')[event] || this.settings.defaults.sounds[event] || 'none';
+    }
+    
+    getMessage(event) {
+        const isBreak = event === 'breakEnd';
+        return this.settings.get(isBreak ? 'ttsBreakMessage' : 'ttsFocusMessage') || t(isBreak ? 'sounds.events.breakEnd' : 'sounds.events.focusEnd');
+    }
+    
+    getVolume() {
+        return this.settings.get('masterVolume') / 100;
+    }
+    
+    // ========================================
+    // 再生
+    // ========================================
+    async play(event) {
+        const sound = this.getSound(event);
+        
+        if (sound === 'none') return;
+        if (sound === 'custom' && this.customUrl) {
+            return this.playAudio(new Audio(this.customUrl));
+        }
+        if (this.TONES[sound]) {
+            return this.playTones(this.TONES[sound]);
+        }
+        // カスタム音が未登録のときも標準のアラーム
+        return this.playAudio(this.alarmSound);
+    }
+    
+    playAudio(audio) {
+        audio.volume = this.getVolume();
+        audio.currentTime = 0;
+        return audio.play();
+    }
+    
+    playTones(tones) {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) throw new Error('Web Audio に対応していません');
+            this.audioContext = new AudioContextClass();
+        }
+        this.audioContext.resume();
+        
+        const now = this.audioContext.currentTime;
+        const volume = Math.max(0.0001, this.getVolume() * 0.5);
+        tones.forEach(([frequency, start, length]) => {
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            
+            gain.gain.setValueAtTime(0.0001, now + start);
+            gain.gain.exponentialRampToValueAtTime(volume, now + start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, now + start + length);
+            
+            oscillator.connect(gain).connect(this.audioContext.destination);
+            oscillator.start(now + start);
+            oscillator.stop(now + start + length + 0.01);
+        });
+    }
+    
+    speak(message) {
+        if (!('speechSynthesis' in window)) return;
+        
+        const utterance = new SpeechSynthesisUtterance(message);
+        utterance.volume = this.getVolume();
+        const voice = speechSynthesis.getVoices().find(v => v.voiceURI === this.settings.get('ttsVoice'));
+        if (voice) utterance.voice = voice;
+        speechSynthesis.speak(utterance);
+    }
+    
+    // ========================================
+    // カスタムアラーム
+    // ========================================
+    async loadCustomSound() {
+        try {
+            const record = await this.library.get('custom');
+            this.setCustomSound(record);
+        } catch (error) {
+            console.error('カスタムアラームの読み込みに失敗しました:', error);
+        }
+    }
+    
+    setCustomSound(record) {
+        if (this.customUrl) URL.revokeObjectURL(this.customUrl);
+        this.customUrl = record ? URL.createObjectURL(record.blob) : null;
+        this.customName = record ? record.name : null;
+        this.renderCustomSound();
+    }
+    
+    renderCustomSound() {
+        document.getElementById('customSoundName').textContent = this.customName || t('settings.notRegistered');
+        document.getElementById('deleteCustomSoundBtn').disabled = !this.customName;
+    }
+    
+    async saveCustomSound(file) {
+        if (!file.type.startsWith('audio/')) {
+            alert(t('sounds.notAudio'));
+            return;
+        }
+        if (file.size > this.MAX_CUSTOM_SIZE) {
+            alert(t('sounds.tooLarge'));
+            return;
+        }
+        
+        const record = { id: 'custom', name: file.name, blob: file };
+        try {
+            await this.library.put(record);
+            this.setCustomSound(record);
+        } catch (error) {
+            console.error('カスタムアラームの保存に失敗しました:', error);
+            alert(t('sounds.saveFailed'));
+        }
+    }
+    
+    async deleteCustomSound() {
+        try {
+            await this.library.delete('custom');
+            this.setCustomSound(null);
+        } catch (error) {
+            console.error('カスタムアラームの削除に失敗しました:', error);
+        }
+    }
+    
+    // ========================================
+    // 設定画面
+    // ========================================
+    renderSettings() {
+        const options = this.SOUND_NAMES
+            .map(value => `<option value="${value}">${escapeHTML(t(`sounds.names.${value}`))}</option>`)
+            .join('');
+        
+        document.getElementById('soundEventList').innerHTML = this.EVENTS.map(event => `
+            <div class="input-row">
+                <label for="sound-${event}">${escapeHTML(t(`sounds.events.${event}`))}:</label>
+                <select id="sound-${event}" data-sound-event="${event}">${options}</select>
+                <button data-preview="${event}" title="${escapeHTML(t('settings.preview'))}">▶</button>
+            </div>
+        `).join('');
+        
+        this.EVENTS.forEach(event => {
+            document.getElementById(`sound-${event}`).value = this.getSound(event);
+        });
+        this.renderCustomSound();
+        this.renderVoices();
+    }
+    
+    renderVoices() {
+        const select = document.getElementById('ttsVoiceInput');
+        const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+        
+        select.innerHTML = `<option value="">${escapeHTML(t('settings.defaultVoice'))}</option>` + voices
+            .map(voice => `<option value="${escapeHTML(voice.voiceURI)}">${escapeHTML(voice.name)} (${escapeHTML(voice.lang)})</option>`)
+            .join('');
+        select.value = this.settings.get('ttsVoice');
+    }
+}
+
+// ========================================
+// サウンドストア (IndexedDB)
+// ========================================
+class SoundLibrary {
+    constructor() {
+        this.DB_NAME = 'pomodoroSounds';
+        this.STORE_NAME = 'sounds';
+        this.dbPromise = this.open();
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async run(mode, operation) {
+        const db = await this.dbPromise;
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(this.STORE_NAME));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+    
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+    
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
+
+// ========================================
+// タイマーの刻み
+// ========================================
+// 隠れたタブでも間引かれにくいよう専用ワーカーで刻む (使えなければメインスレッド)
+class TimerTicker {
+    constructor(interval = 500) {
+        this.interval = interval;
+        this.onTick = null;
+        this.intervalId = null;
+        this.worker = null;
+        
+        try {
+            this.worker = new Worker('timer-worker.js');
+            this.worker.addEventListener('message', () => {
+                if (this.onTick) this.onTick();
+            });
+            // file:// などでワーカーを読み込めなかった場合
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this.fallBack();
+            });
+        } catch (error) {
+            console.warn('タイマー用ワーカーを起動できませんでした:', error);
+            this.worker = null;
+        }
+    }
+    
+    start(onTick) {
+        this.stop();
+        this.onTick = onTick;
+        
+        if (this.worker) {
+            this.worker.postMessage({ type: 'start', interval: this.interval });
+        } else {
+            this.intervalId = setInterval(onTick, this.interval);
+        }
+    }
+    
+    stop() {
+        this.onTick = null;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'stop' });
+        }
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+    
+    fallBack() {
+        console.warn('タイマー用ワーカーが使えないため、通常のタイマーで動かします');
+        const onTick = this.onTick;
+        this.worker = null;
+        if (onTick) this.start(onTick);
+    }
+}
+
+// ========================================
+// ファビコン
+// ========================================
+class FaviconBadge {
+    constructor() {
+        this.SIZE = 64;
+        this.link = document.querySelector('link[rel="icon"]');
+        this.lastKey = null;
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.SIZE;
+        this.canvas.height = this.SIZE;
+        this.ctx = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+    }
+    
+    // state: { minutes, progress (0〜1), color } / null で通常のアイコン
+    update(state) {
+        if (!this.ctx || !this.link) return;
+        
+        // 見た目が変わるときだけ描き直す
+        const key = state ? `${state.minutes}|${Math.floor(state.progress * 40)}|${state.color}` : 'idle';
+        if (key === this.lastKey) return;
+        this.lastKey = key;
+        
+        const { ctx, SIZE } = this;
+        const center = SIZE / 2;
+        ctx.clearRect(0, 0, SIZE, SIZE);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        if (!state) {
+            ctx.font = `${SIZE * 0.8}px sans-serif`;
+            ctx.fillText('🍅', center, center + 4);
+        } else {
+            ctx.lineWidth = 8;
+            ctx.strokeStyle = '#ddd';
+            ctx.beginPath();
+            ctx.arc(center, center, center - 5, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            ctx.strokeStyle = state.color;
+            ctx.beginPath();
+            ctx.arc(center, center, center - 5, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * state.progress);
+            ctx.stroke();
+            
+            ctx.fillStyle = '#3f3f3f';
+            ctx.font = `bold ${state.minutes >= 100 ? 22 : 30}px sans-serif`;
+            ctx.fillText(String(state.minutes), center, center + 2);
+        }
+        
+        this.link.href = this.canvas.toDataURL('image/png');
+    }
+}
+
+// ========================================
+// デスクトップ通知
+// ========================================
+class Notifier {
+    constructor(settings) {
+        this.settings = settings;
+        this.supported = 'Notification' in window;
+        
+        this.bindEvents();
+        this.renderStatus();
+    }
+    
+    bindEvents() {
+        document.getElementById('notificationsInput').addEventListener('change', (e) => {
+            if (e.target.checked) this.requestPermission();
+            this.renderStatus();
+        });
+    }
+    
+    async requestPermission() {
+        if (!this.supported) {
+            this.disable();
+            return;
+        }
+        
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') this.disable();
+        this.renderStatus();
+    }
+    
+    disable() {
+        this.settings.set('notificationsEnabled', false);
+        document.getElementById('notificationsInput').checked = false;
+    }
+    
+    renderStatus() {
+        const status = document.getElementById('notificationStatus');
+        
+        if (!this.supported) {
+            status.textContent = t('notifications.unsupported');
+        } else if (Notification.permission === 'denied') {
+            status.textContent = t('notifications.blocked');
+        } else {
+            status.textContent = '';
+        }
+    }
+    
+    notify(event, { nextPhase, canStart }) {
+        // 画面を見ているときはアラームで十分なので、別のタブやウィンドウにいるときだけ出す
+        if (!this.settings.get('notificationsEnabled') || !this.supported || Notification.permission !== 'granted') return false;
+        if (document.hasFocus()) return false;
+        
+        const title = t(event === 'focusEnd' ? 'notifications.focusEnd' : 'notifications.breakEnd');
+        const options = {
+            body: t('notifications.next', { phase: nextPhase.label }),
+            tag: 'pomodoro-phase',
+            renotify: true,
+            actions: canStart ? [{ action: 'start', title: t('notifications.start', { icon: nextPhase.icon, phase: nextPhase.label }) }] : []
+        };
+        
+        // ボタン付きの通知は Service Worker 経由でしか出せない
+        const registration = 'serviceWorker' in navigator ? navigator.serviceWorker.getRegistration() : Promise.resolve(null);
+        registration
+            .then(reg => {
+                if (reg) return reg.showNotification(title, options);
+                
+                const notification = new Notification(title, { body: options.body, tag: options.tag });
+                notification.onclick = () => {
+                    window.focus();
+                    notification.close();
+                };
+            })
+            .catch(error => console.warn('通知を表示できませんでした:', error));
+        return true;
+    }
+}
+
+// ========================================
+// タブ間の連携
+// ========================================
+// リーダーは localStorage の期限付きの席で決め、連絡は BroadcastChannel (なければ storage イベント) で送る
+class TabCoordinator {
+    constructor({ onLeaderChange, onMessage }) {
+        this.LEASE_KEY = 'pomodoroLeader';
+        this.MESSAGE_KEY = 'pomodoroTabMessage';
+        this.LEASE_MS = 6000;
+        
+        this.id = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+        this.isLeader = null; // start() で決まる
+        this.onLeaderChange = onLeaderChange;
+        this.onMessage = onMessage;
+        
+        // 隠れたタブでも席の更新が遅れないよう、タイマーと同じワーカーで刻む
+        this.heartbeat = new TimerTicker(2000);
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel('pomodoro-girl') : null;
+    }
+    
+    start() {
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+        }
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.LEASE_KEY) {
+                this.checkLease();
+            } else if (e.key === this.MESSAGE_KEY && e.newValue) {
+                this.receive(JSON.parse(e.newValue));
+            }
+        });
+        // 閉じるときは席を空け、ほかのタブがすぐに引き継げるようにする
+        window.addEventListener('pagehide', () => this.release());
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) this.checkLease();
+        });
+        
+        this.heartbeat.start(() => this.checkLease());
+        this.checkLease();
+    }
+    
+    checkLease() {
+        const lease = this.readLease();
+        const now = Date.now();
+        
+        if (!lease || lease.id === this.id || lease.expires < now) {
+            localStorage.setItem(this.LEASE_KEY, JSON.stringify({ id: this.id, expires: now + this.LEASE_MS }));
+            this.setLeader(true);
+        } else {
+            // 同時に席に着いた場合は、後から書き込んだ方に譲る
+            this.setLeader(false);
+        }
+    }
+    
+    readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(this.LEASE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    release() {
+        if (this.isLeader) localStorage.removeItem(this.LEASE_KEY);
+    }
+    
+    setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+        this.isLeader = isLeader;
+        this.onLeaderChange(isLeader);
+    }
+    
+    post(message) {
+        const data = { ...message, from: this.id };
+        if (this.channel) {
+            this.channel.postMessage(data);
+            return;
+        }
+        // storage イベントは値が変わったときしか届かないので、毎回違う値にする
+        localStorage.setItem(this.MESSAGE_KEY, JSON.stringify({ ...data, sentAt: Date.now(), nonce: Math.random() }));
+    }
+    
+    receive(message) {
+        if (message && message.from !== this.id) this.onMessage(message);
+    }
+}
+
+// ========================================
+// キーボードショートカット
+// ========================================
+class KeyboardShortcuts {
+    // getCommands: 操作ID → { label, run } を返す関数
+    constructor(settings, getCommands) {
+        this.settings = settings;
+        this.getCommands = getCommands;
+        this.capturing = null; // キーの割り当てを待っている操作ID
+        
+        this.helpDialog = new ModalDialog(document.getElementById('shortcutHelp'), {
+            closeButton: document.getElementById('shortcutHelpClose')
+        });
+        
+        this.bindEvents();
+        this.renderSettings();
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        document.getElementById('shortcutList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rebind]');
+            if (!button) return;
+            this.capturing = button.dataset.rebind;
+            button.textContent = t('shortcuts.pressKey');
+        });
+        document.getElementById('shortcutResetBtn').addEventListener('click', () => {
+            this.settings.set('shortcuts', { ...this.settings.defaults.shortcuts });
+            this.renderSettings();
+        });
+        document.getElementById('shortcutHelpBtn').addEventListener('click', () => this.showHelp());
+    }
+    
+    getKey(action) {
+        const shortcuts = this.settings.get('shortcuts');
+        return action in shortcuts ? shortcuts[action] : (this.settings.defaults.shortcuts[action] || '');
+    }
+    
+    // KeyboardEvent → 'Ctrl+K' のような表記 (修飾キーだけのときは null)
+    toCombo(e) {
+        let key = e.key === ' ' ? 'Space' : e.key;
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(key)) return null;
+        if (key.length === 1) key = key.toUpperCase();
+        
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        // ? のように Shift で打つ文字は文字そのもので区別する
+        if (e.shiftKey && key.length > 1) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+    
+    handleKeydown(e) {
+        if (e.isComposing) return;
+        const combo = this.toCombo(e);
+        if (!combo) return;
+        
+        if (this.capturing) {
+            e.preventDefault();
+            this.rebind(this.capturing, combo);
+            return;
+        }
+        
+        // 入力欄で文字を打っている間は Ctrl などの組み合わせだけを受け付ける
+        const target = e.target;
+        const typing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (typing && !/^(Ctrl|Alt)\+/.test(combo)) return;
+        // フォーカスのあるボタンはスペースキーで押せるので、二重に動かさない
+        if (target.tagName === 'BUTTON' && (combo === 'Space' || combo === 'Enter')) return;
+        
+        const commands = this.getCommands();
+        const action = Object.keys(commands).find(id => this.getKey(id) === combo);
+        if (!action) return;
+        
+        e.preventDefault();
+        commands[action].run();
+    }
+    
+    rebind(action, combo) {
+        this.capturing = null;
+        const shortcuts = { ...this.settings.defaults.shortcuts, ...this.settings.get('shortcuts') };
+        
+        // Esc は取り消し、Backspace / Delete は割り当ての解除
+        if (combo !== 'Escape') {
+            const key = ['Backspace', 'Delete'].includes(combo) ? '' : combo;
+            // ほかの操作と重なったら、その操作には元のキーを渡す
+            const conflict = key && Object.keys(shortcuts).find(id => id !== action && shortcuts[id] === key);
+            if (conflict) shortcuts[conflict] = shortcuts[action];
+            shortcuts[action] = key;
+            this.settings.set('shortcuts', shortcuts);
+        }
+        this.renderSettings();
+    }
+    
+    renderSettings() {
+        const commands = this.getCommands();
+        document.getElementById('shortcutList').innerHTML = Object.entries(commands).map(([id, command]) => `
+            <div class="input-row">
+                <label>${escapeHTML(command.label)}:</label>
+                <button class="shortcut-key" data-rebind="${id}" title="${escapeHTML(t('shortcuts.rebind'))}">${escapeHTML(this.getKey(id) || t('shortcuts.none'))}</button>
+            </div>
+        `).join('');
+    }
+    
+    showHelp() {
+        const commands = this.getCommands();
+        document.getElementById('shortcutHelpList').innerHTML = Object.entries(commands)
+            .filter(([id]) => this.getKey(id))
+            .map(([id, command]) => `<tr><td><kbd>${escapeHTML(this.getKey(id))}</kbd></td><td>${escapeHTML(command.label)}</td></tr>`)
+            .join('');
+        this.helpDialog.open();
+    }
+    
+    hideHelp() {
+        this.helpDialog.close();
+    }
+}
+
+// ========================================
+// コマンドパレット
+// ========================================
+// 操作と登録済みのタスク名をあいまい検索して実行する
+class CommandPalette {
+    constructor(shortcuts, taskManager) {
+        this.MAX_RESULTS = 20;
+        this.shortcuts = shortcuts;
+        this.taskManager = taskManager;
+        this.results = [];
+        this.selected = 0;
+        this.dialog = new ModalDialog(document.getElementById('commandPalette'));
+        
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        const input = document.getElementById('paletteInput');
+        input.addEventListener('input', () => this.search(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.select((this.selected + step + this.results.length) % this.results.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.run(this.selected);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            }
+        });
+        
+        document.getElementById('paletteList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) this.run(Number(item.dataset.index));
+        });
+    }
+    
+    open() {
+        const input = document.getElementById('paletteInput');
+        input.value = '';
+        this.search('');
+        this.dialog.open();
+    }
+    
+    close() {
+        this.dialog.close();
+    }
+    
+    getEntries() {
+        const commands = Object.entries(this.shortcuts.getCommands())
+            .filter(([id]) => id !== 'palette')
+            .map(([id, command]) => ({ label: command.label, key: this.shortcuts.getKey(id), run: command.run }));
+        
+        const tasks = this.taskManager.data.tasks
+            .filter(task => task.status !== 'archived')
+            .map(task => ({
+                label: `📌 ${formatTaskName(task.name)}`,
+                key: '',
+                run: () => this.taskManager.selectTask(task.id)
+            }));
+        
+        return [...commands, ...tasks];
+    }
+    
+    search(query) {
+        this.results = this.getEntries()
+            .map(entry => ({ entry, score: fuzzyScore(query, entry.label) }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.MAX_RESULTS)
+            .map(({ entry }) => entry);
+        
+        document.getElementById('paletteList').innerHTML = this.results.length > 0
+            ? this.results.map((entry, index) => `
+                <li data-index="${index}" id="palette-option-${index}" role="option" aria-selected="false">
+                    <span>${escapeHTML(entry.label)}</span>
+                    ${entry.key ? `<kbd>${escapeHTML(entry.key)}</kbd>` : ''}
+                </li>
+            `).join('')
+            : `<li class="palette-empty" role="presentation">${escapeHTML(t('palette.empty'))}</li>`;
+        this.select(0);
+    }
+    
+    select(index) {
+        this.selected = index;
+        document.querySelectorAll('#paletteList [data-index]').forEach(item => {
+            const isSelected = Number(item.dataset.index) === index;
+            item.classList.toggle('selected', isSelected);
+            item.setAttribute('aria-selected', String(isSelected));
+        });
+        
+        // フォーカスは入力欄に置いたまま、選んでいる候補を読み上げさせる
+        const input = document.getElementById('paletteInput');
+        if (this.results[index]) {
+            input.setAttribute('aria-activedescendant', `palette-option-${index}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+    
+    run(index) {
+        const entry = this.results[index];
+        if (!entry) return;
+        
+        this.close();
+        entry.run();
+    }
+}
+
+// ========================================
+// タスク管理システム
+// ========================================
+class TaskManager {
+    // getTaskName: 入力中のタスク名、onHistoryChange: 履歴を編集した後に呼ぶ
+    constructor(settings, { getTaskName, onHistoryChange }) {
+        this.DAYS_PER_PAGE = 7;
+        this.settings = settings;
+        this.getTaskName = getTaskName;
+        this.onHistoryChange = onHistoryChange;
+        
+        this.store = new VersionedStore('pomodoroTasks', {
+            defaults: () => ({ tasks: [], activeTaskId: null }),
+            migrations: this.getMigrations(),
+            // 実績数だけは互いの完了分を足す (見積もりなどはこのタブの値を採用する)
+            merge: (base, local, stored) => mergeChanges(base, local, stored, ['tasks.*.actual'])
+        });
+        this.data = this.store.load();
+        this.history = new CompletionHistory();
+        
+        // タスク記録タブに読み込み済みの履歴 (新しい順)
+        this.loadedRecords = [];
+        this.hasMoreRecords = false;
+        this.undoStack = [];
+        this.undoTimerId = null;
+        
+        this.bindEvents();
+        this.updateSuggestions();
+        this.renderTaskList();
+        this.ready = this.upgradeHistory().then(() => this.reloadRecords());
+    }
+    
+    bindEvents() {
+        document.getElementById('taskForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitTaskForm();
+        });
+        document.getElementById('taskFormCancel').addEventListener('click', () => this.resetTaskForm());
+        document.getElementById('taskFilter').addEventListener('change', () => this.renderTaskList());
+        document.getElementById('taskInput').addEventListener('change', () => this.renderTaskList());
+        
+        document.getElementById('recordsList').addEventListener('click', (e) => this.handleRecordAction(e));
+        document.getElementById('addRecordBtn').addEventListener('click', () => this.showNewRecordForm());
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+    }
+    
+    getMigrations() {
+        return [
+            // v0 → v1: 所要時間・中断情報のない旧形式の記録を補完
+            (data) => {
+                const completions = (Array.isArray(data.completions) ? data.completions : [])
+                    .filter(c => c && typeof c.taskName === 'string' && !isNaN(new Date(c.timestamp).getTime()))
+                    .map(c => ({
+                        ...c,
+                        date: new Date(c.timestamp).toDateString(),
+                        // 所要時間を記録していなかった頃のポモドーロは25分固定
+                        duration: c.duration ?? 25 * 60,
+                        interrupted: c.interrupted ?? false,
+                        pauseCount: c.pauseCount ?? 0,
+                        pausedTime: c.pausedTime ?? 0
+                    }));
+                
+                const tasks = Array.isArray(data.tasks) ? data.tasks.filter(t => typeof t === 'string') : [];
+                completions.forEach(({ taskName }) => {
+                    if (!tasks.includes(taskName)) tasks.push(taskName);
+                });
+                
+                return { ...data, tasks, completions };
+            },
+            // v1 → v2: 候補の並び替え用にタスクごとの回数を保持 (履歴本体は IndexedDB へ移行)
+            (data) => ({ ...data, taskCounts: this.countTasks(data.completions || []) }),
+            // v2 → v3: タスク名の配列をIDつきのタスクオブジェクトに変換 (履歴との紐づけは upgradeHistory で行う)
+            (data) => {
+                const { taskCounts = {}, ...rest } = data;
+                const tasks = (data.tasks || []).map(task => typeof task === 'string'
+                    ? this.createTask({ name: task, actual: taskCounts[task] || 0 })
+                    : task);
+                return { ...rest, tasks, activeTaskId: null, needsTaskLink: true };
+            },
+            // v3 → v4: 表示言語の「無題のタスク」で保存していたタスクを空の名前にする
+            // 言語を切り替えて分かれてしまったものは1つにまとめ、履歴の付け替えは upgradeHistory で行う
+            (data) => {
+                const tasks = [];
+                const mergedTaskIds = {};
+                let untitled = null;
+                (data.tasks || []).forEach(task => {
+                    const name = normalizeTaskName(task.name);
+                    if (name !== '') {
+                        tasks.push(task);
+                    } else if (!untitled) {
+                        untitled = { ...task, name };
+                        tasks.push(untitled);
+                    } else {
+                        untitled.actual += task.actual;
+                        mergedTaskIds[task.id] = untitled.id;
+                    }
+                });
+                
+                const merged = Object.keys(mergedTaskIds).length > 0 ? { mergedTaskIds } : {};
+                return { ...data, ...merged, tasks, activeTaskId: mergedTaskIds[data.activeTaskId] || data.activeTaskId };
+            }
+        ];
+    }
+    
+    async upgradeHistory() {
+        try {
+            // localStorage に残っている履歴を IndexedDB へ一度だけ移す
+            if (this.data.completions) {
+                await this.history.addMissing(this.data.completions);
+                delete this.data.completions;
+                this.saveData();
+            }
+            
+            // タスクIDのない記録をタスクに紐づけ、実績数を数え直す
+            if (this.data.needsTaskLink) {
+                await this.history.linkTasks(taskName => this.resolveTask(taskName).id);
+                this.recountActuals(await this.history.getAll());
+                delete this.data.needsTaskLink;
+                this.saveData();
+                this.updateSuggestions();
+                this.renderTaskList();
+            }
+            
+            // まとめたタスクの記録を、残したタスクに付け替える
+            if (this.data.mergedTaskIds) {
+                await this.history.relinkTasks(this.data.mergedTaskIds);
+                delete this.data.mergedTaskIds;
+                this.saveData();
+            }
+        } catch (error) {
+            console.warn('履歴の移行に失敗しました:', error);
+        }
+    }
+    
+    countTasks(completions) {
+        const counts = {};
+        completions.forEach(({ taskName }) => {
+            counts[taskName] = (counts[taskName] || 0) + 1;
+        });
+        return counts;
+    }
+    
+    saveData() {
+        this.data = this.store.save(this.data);
+    }
+    
+    reload() {
+        this.data = this.store.load();
+        this.updateSuggestions();
+        this.renderTaskList();
+    }
+    
+    // ========================================
+    // タスク
+    // ========================================
+    createTask({ name, project = '', estimate = 0, actual = 0, notes = '', dueDate = '' }) {
+        return {
+            id: `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name,
+            project,
+            estimate,
+            actual,
+            notes,
+            dueDate, // YYYY-MM-DD
+            status: 'active', // active / done / archived
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    addTask(fields) {
+        const task = this.createTask(fields);
+        this.data.tasks.push(task);
+        this.saveData();
+        return task;
+    }
+    
+    getTask(id) {
+        return this.data.tasks.find(task => task.id === id) || null;
+    }
+    
+    // 名前からタスクを探す (なければ null)
+    findTask(name) {
+        name = normalizeTaskName(name);
+        
+        const active = this.getTask(this.data.activeTaskId);
+        if (active && active.name === name) return active;
+        
+        return this.data.tasks.find(task => task.name === name && task.status !== 'archived')
+            || this.data.tasks.find(task => task.name === name)
+            || null;
+    }
+    
+    // 名前からタスクを探し、なければ作る
+    resolveTask(name) {
+        return this.findTask(name) || this.addTask({ name: normalizeTaskName(name) });
+    }
+    
+    updateTask(id, changes) {
+        const task = this.getTask(id);
+        if (!task) return;
+        
+        // 名前を変えても履歴とタスク別の目標はIDで紐づいたまま
+        if (changes.name !== undefined && changes.name !== task.name && this.data.activeTaskId === id) {
+            document.getElementById('taskInput').value = changes.name;
+        }
+        
+        Object.assign(task, changes);
+        this.saveData();
+        this.updateSuggestions();
+        this.renderTaskList();
+        this.displayRecords();
+    }
+    
+    selectTask(id) {
+        const task = this.getTask(id);
+        if (!task) return;
+        
+        this.data.activeTaskId = id;
+        this.saveData();
+        
+        const input = document.getElementById('taskInput');
+        input.value = task.name;
+        input.dispatchEvent(new Event('change'));
+    }
+    
+    recountActuals(completions) {
+        this.data.tasks.forEach(task => { task.actual = 0; });
+        completions.filter(c => !c.interrupted).forEach(completion => {
+            const task = this.getTask(completion.taskId);
+            if (task) task.actual++;
+        });
+    }
+    
+    getRecordName(completion) {
+        // 改名後も現在のタスク名で表示する
+        const task = this.getTask(completion.taskId);
+        return task ? task.name : completion.taskName;
+    }
+    
+    async recordCompletion(taskName, { duration = 0, interrupted = false, pauseCount = 0, pausedTime = 0, completedAt = Date.now() } = {}) {
+        const task = this.resolveTask(taskName);
+        if (!interrupted) task.actual++;
+        this.saveData();
+        this.updateSuggestions();
+        this.renderTaskList();
+        
+        const completion = {
+            taskId: task.id,
+            taskName: task.name,
+            date: new Date(completedAt).toDateString(),
+            timestamp: new Date(completedAt).toISOString(),
+            duration, // 秒
+            interrupted,
+            pauseCount,
+            pausedTime // 秒
+        };
+        
+        try {
+            completion.id = await this.history.add(completion);
+            this.loadedRecords.unshift(completion);
+            this.displayRecords();
+            return completion;
+        } catch (error) {
+            console.error('履歴の保存に失敗しました:', error);
+            return null;
+        }
+    }
+    
+    async reloadRecords() {
+        // 読み込み済みの日数は保ったまま読み直す
+        const loadedDays = new Set(this.loadedRecords.map(record => record.date)).size;
+        this.loadedRecords = [];
+        await this.loadMoreRecords(Math.max(this.DAYS_PER_PAGE, loadedDays));
+    }
+    
+    async loadMoreRecords(days = this.DAYS_PER_PAGE) {
+        const last = this.loadedRecords[this.loadedRecords.length - 1];
+        
+        try {
+            const { records, hasMore } = await this.history.getDays({
+                before: last ? { timestamp: last.timestamp, id: last.id } : null,
+                days
+            });
+            this.loadedRecords.push(...records);
+            this.hasMoreRecords = hasMore;
+        } catch (error) {
+            console.error('履歴の読み込みに失敗しました:', error);
+        }
+        
+        this.displayRecords();
+    }
+    
+    updateSuggestions() {
+        const datalist = document.getElementById('taskSuggestions');
+        datalist.innerHTML = '';
+        
+        // 名前のないタスクは入力欄を空にすれば選べるので候補に出さない
+        const sorted = this.data.tasks
+            .filter(task => task.status === 'active' && task.name !== '')
+            .sort((a, b) => b.actual - a.actual);
+        
+        sorted.forEach(task => {
+            const option = document.createElement('option');
+            option.value = task.name;
+            datalist.appendChild(option);
+        });
+        
+        document.getElementById('taskInput').setAttribute('list', 'taskSuggestions');
+    }
+    
+    displayRecords() {
+        const container = document.getElementById('recordsList');
+        
+        if (this.loadedRecords.length === 0) {
+            container.textContent = t('records.empty');
+            return;
+        }
+        
+        const dailyGoal = this.settings.get('dailyGoal');
+        const grouped = {};
+        this.loadedRecords.forEach(completion => {
+            if (!grouped[completion.date]) grouped[completion.date] = [];
+            grouped[completion.date].push(completion);
+        });
+        
+        const html = Object.keys(grouped)
+            .sort((a, b) => new Date(b) - new Date(a))
+            .map(date => {
+                const records = grouped[date].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+                const completed = records.filter(record => !record.interrupted).length;
+                const goalMark = dailyGoal > 0 && completed >= dailyGoal
+                    ? ` <span title="${escapeHTML(t('records.goalMet'))}" style="color: #4CAF50;">🎯 ${escapeHTML(t('records.goalMet'))}</span>`
+                    : '';
+                const rows = records.map(record => this.renderRecord(record)).join('');
+                return `<div style="margin-bottom: 10px;"><strong>${escapeHTML(i18n.formatDate(date))}</strong> <span style="color: #666;">${escapeHTML(t('records.completed', { count: completed }))}</span>${goalMark}<ul class="record-list">${rows}</ul></div>`;
+            })
+            .join('');
+        
+        const moreButton = this.hasMoreRecords
+            ? `<button data-action="load-more">${escapeHTML(t('records.loadMore'))}</button>`
+            : '';
+        container.innerHTML = html + moreButton;
+    }
+    
+    renderRecord(record) {
+        const time = i18n.formatTime(record.timestamp);
+        const notes = [];
+        if (record.interrupted) notes.push(t('records.interrupted'));
+        if (record.pauseCount > 0) notes.push(t('records.paused', { count: record.pauseCount }));
+        if (record.manual) notes.push(t('records.manual'));
+        
+        return `
+            <li class="record-item" data-id="${record.id}">
+                <span class="record-time">${time}</span>
+                <span>${escapeHTML(formatTaskName(this.getRecordName(record)))}</span>
+                <span style="color: #666;">${escapeHTML(t('records.minutes', { minutes: Math.round(record.duration / 60) }))}</span>
+                ${notes.length > 0 ? `<span style="color: #999;">(${escapeHTML(notes.join(' / '))})</span>` : ''}
+                <span class="record-actions">
+                    <button data-action="edit" title="${escapeHTML(t('records.edit'))}">✏️</button>
+                    <button data-action="delete" title="${escapeHTML(t('records.delete'))}">🗑️</button>
+                </span>
+                ${record.memo ? `<div class="record-memo">📝 ${escapeHTML(record.memo)}</div>` : ''}
+            </li>
+        `;
+    }
+    
+    handleRecordAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        const item = button.closest('.record-item');
+        const id = item ? Number(item.dataset.id) : null;
+        
+        switch (button.dataset.action) {
+            case 'load-more':
+                this.loadMoreRecords();
+                break;
+            case 'edit':
+                item.replaceWith(this.createRecordForm(this.loadedRecords.find(record => record.id === id)));
+                break;
+            case 'delete':
+                this.deleteRecord(id);
+                break;
+        }
+    }
+    
+    // ========================================
+    // 履歴の編集
+    // ========================================
+    createRecordForm(record = null) {
+        const now = new Date();
+        const values = record
+            ? {
+                taskName: formatTaskName(this.getRecordName(record)),
+                timestamp: new Date(record.timestamp),
+                minutes: Math.round(record.duration / 60),
+                memo: record.memo || ''
+            }
+            : {
+                taskName: formatTaskName(this.getTaskName()),
+                timestamp: now,
+                minutes: this.settings.get('focusMinutes'),
+                memo: ''
+            };
+        
+        const form = document.createElement('form');
+        form.className = 'record-form';
+        form.innerHTML = `
+            <input type="text" name="taskName" list="taskSuggestions" maxlength="50" required placeholder="${escapeHTML(t('records.taskName'))}" aria-label="${escapeHTML(t('records.taskName'))}">
+            <input type="datetime-local" name="timestamp" required aria-label="${escapeHTML(t('records.completedAt'))}">
+            <label><input type="number" name="minutes" min="1" max="180" required> ${escapeHTML(t('records.minutesUnit'))}</label>
+            <input type="text" name="memo" maxlength="200" placeholder="${escapeHTML(t('records.memo'))}" aria-label="${escapeHTML(t('records.memo'))}">
+            <button type="submit">${escapeHTML(t('records.save'))}</button>
+            <button type="button" data-role="cancel" style="background-color: #999;">${escapeHTML(t('records.cancel'))}</button>
+        `;
+        form.elements.taskName.value = values.taskName;
+        form.elements.timestamp.value = this.toLocalInputValue(values.timestamp);
+        form.elements.minutes.value = values.minutes;
+        form.elements.memo.value = values.memo;
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRecord(record, {
+                taskName: form.elements.taskName.value,
+                timestamp: new Date(form.elements.timestamp.value),
+                duration: (parseInt(form.elements.minutes.value) || values.minutes) * 60,
+                memo: form.elements.memo.value.trim()
+            });
+        });
+        form.querySelector('[data-role="cancel"]').addEventListener('click', () => this.displayRecords());
+        
+        return form;
+    }
+    
+    showNewRecordForm() {
+        const container = document.getElementById('recordsList');
+        if (container.querySelector('.record-form.new')) return;
+        
+        if (this.loadedRecords.length === 0) container.innerHTML = '';
+        const form = this.createRecordForm();
+        form.classList.add('new');
+        container.prepend(form);
+        form.elements.taskName.focus();
+    }
+    
+    async saveRecord(before, { taskName, timestamp, duration, memo }) {
+        if (isNaN(timestamp.getTime())) return;
+        
+        const task = this.resolveTask(taskName);
+        const record = {
+            ...(before || { interrupted: false, pauseCount: 0, pausedTime: 0, manual: true }),
+            taskId: task.id,
+            taskName: task.name,
+            date: timestamp.toDateString(),
+            timestamp: timestamp.toISOString(),
+            duration,
+            memo
+        };
+        
+        try {
+            if (before) {
+                await this.history.put(record);
+            } else {
+                record.id = await this.history.add(record);
+            }
+        } catch (error) {
+            console.error('記録の保存に失敗しました:', error);
+            return;
+        }
+        
+        this.pushUndo({ before, after: record }, t(before ? 'records.updated' : 'records.added'));
+        await this.afterHistoryEdit({ before, after: record });
+    }
+    
+    async deleteRecord(id) {
+        const before = this.loadedRecords.find(record => record.id === id);
+        if (!before) return;
+        
+        try {
+            await this.history.delete(id);
+        } catch (error) {
+            console.error('記録の削除に失敗しました:', error);
+            return;
+        }
+        
+        this.pushUndo({ before, after: null }, t('records.deleted'));
+        await this.afterHistoryEdit({ before, after: null });
+    }
+    
+    pushUndo(operation, message) {
+        this.undoStack.push(operation);
+        
+        const bar = document.getElementById('undoBar');
+        document.getElementById('undoMessage').textContent = message;
+        bar.style.display = 'flex';
+        
+        clearTimeout(this.undoTimerId);
+        this.undoTimerId = setTimeout(() => { bar.style.display = 'none'; }, 10000);
+    }
+    
+    async undo() {
+        const operation = this.undoStack.pop();
+        if (!operation) return;
+        
+        // 追加の取り消しは削除、更新・削除の取り消しは元の記録を書き戻す
+        try {
+            if (operation.before) {
+                await this.history.put(operation.before);
+            } else {
+                await this.history.delete(operation.after.id);
+            }
+        } catch (error) {
+            console.error('元に戻せませんでした:', error);
+            return;
+        }
+        
+        if (this.undoStack.length === 0) {
+            document.getElementById('undoBar').style.display = 'none';
+        }
+        // 取り消しは逆向きの編集
+        await this.afterHistoryEdit({ before: operation.after, after: operation.before });
+    }
+    
+    // change: 編集前と編集後の記録 (追加なら before、削除なら after が null)
+    async afterHistoryEdit(change) {
+        this.adjustActuals(change);
+        await this.reloadRecords();
+        await this.onHistoryChange();
+    }
+    
+    adjustActuals({ before, after }) {
+        // 編集前の記録の分を引き、編集後の記録の分を足す
+        [[before, -1], [after, 1]].forEach(([record, delta]) => {
+            const task = record && !record.interrupted && this.getTask(record.taskId);
+            if (task) task.actual = Math.max(0, task.actual + delta);
+        });
+        this.saveData();
+        this.updateSuggestions();
+        this.renderTaskList();
+    }
+    
+    toLocalInputValue(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+    
+    // ========================================
+    // タスク一覧UI
+    // ========================================
+    submitTaskForm() {
+        const form = document.getElementById('taskForm');
+        const name = form.elements.taskName.value.trim();
+        if (!name) return;
+        
+        const fields = {
+            name: normalizeTaskName(name),
+            project: form.elements.taskProject.value.trim(),
+            estimate: Math.max(0, parseInt(form.elements.taskEstimate.value) || 0),
+            dueDate: form.elements.taskDueDate.value,
+            notes: form.elements.taskNotes.value.trim()
+        };
+        
+        const editingId = form.dataset.editingId;
+        if (editingId) {
+            this.updateTask(editingId, fields);
+        } else {
+            this.addTask(fields);
+            this.updateSuggestions();
+            this.renderTaskList();
+        }
+        this.resetTaskForm();
+    }
+    
+    editTask(id) {
+        const task = this.getTask(id);
+        if (!task) return;
+        
+        const form = document.getElementById('taskForm');
+        form.dataset.editingId = id;
+        form.elements.taskName.value = formatTaskName(task.name);
+        form.elements.taskProject.value = task.project;
+        form.elements.taskEstimate.value = task.estimate;
+        form.elements.taskDueDate.value = task.dueDate;
+        form.elements.taskNotes.value = task.notes;
+        
+        document.getElementById('taskFormSubmit').textContent = t('tasks.update');
+        document.getElementById('taskFormCancel').style.display = 'inline-block';
+        form.elements.taskName.focus();
+    }
+    
+    resetTaskForm() {
+        const form = document.getElementById('taskForm');
+        form.reset();
+        delete form.dataset.editingId;
+        document.getElementById('taskFormSubmit').textContent = t('tasks.add');
+        document.getElementById('taskFormCancel').style.display = 'none';
+    }
+    
+    renderTaskList() {
+        const container = document.getElementById('taskList');
+        const filter = document.getElementById('taskFilter').value;
+        const activeName = normalizeTaskName(document.getElementById('taskInput').value);
+        const today = toDateKey(new Date());
+        
+        const tasks = this.data.tasks.filter(task => filter === 'all' || task.status === filter);
+        if (tasks.length === 0) {
+            container.innerHTML = `<div style="color: #999;">${escapeHTML(t('tasks.empty'))}</div>`;
+            return;
+        }
+        
+        container.innerHTML = '';
+        tasks.forEach(task => {
+            const card = document.createElement('div');
+            const isActive = task.name === activeName && task.status !== 'archived';
+            card.className = `task-card${isActive ? ' active' : ''}${task.status !== 'active' ? ' closed' : ''}`;
+            
+            const progress = task.estimate > 0 ? Math.min(100, (task.actual / task.estimate) * 100) : 0;
+            const overEstimate = task.estimate > 0 && task.actual > task.estimate;
+            const overdue = task.dueDate && task.dueDate < today && task.status === 'active';
+            
+            card.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+                    <div>
+                        <strong style="${task.status === 'done' ? 'text-decoration: line-through;' : ''}">${escapeHTML(formatTaskName(task.name))}</strong>
+                        ${task.project ? `<span class="task-project">#${escapeHTML(task.project)}</span>` : ''}
+                    </div>
+                    <span style="white-space: nowrap; color: ${overEstimate ? '#FF6347' : '#666'};" title="${escapeHTML(t('tasks.actualOfEstimate'))}">
+                        🍅 ${task.actual}${task.estimate > 0 ? `/${task.estimate}` : ''}
+                    </span>
+                </div>
+                ${task.estimate > 0 ? `
+                    <div style="background-color: #eee; height: 6px; border-radius: 3px; margin: 6px 0;">
+                        <div style="background-color: ${overEstimate ? '#FF6347' : '#73cac6'}; height: 100%; border-radius: 3px; width: ${progress}%;"></div>
+                    </div>` : ''}
+                ${task.dueDate ? `<div style="font-size: 0.85em; color: ${overdue ? '#FF6347' : '#666'};">${escapeHTML(t('tasks.due', { date: task.dueDate }))}${overdue ? escapeHTML(t('tasks.overdue')) : ''}</div>` : ''}
+                ${task.notes ? `<div style="font-size: 0.85em; color: #444; white-space: pre-wrap;">${escapeHTML(task.notes)}</div>` : ''}
+                <div class="task-actions"></div>
+            `;
+            
+            const actions = card.querySelector('.task-actions');
+            const addAction = (label, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', onClick);
+                actions.appendChild(button);
+            };
+            
+            if (task.status === 'active') {
+                addAction(t('tasks.select'), () => this.selectTask(task.id));
+                addAction(t('tasks.complete'), () => this.updateTask(task.id, { status: 'done' }));
+            } else {
+                addAction(t('tasks.reopen'), () => this.updateTask(task.id, { status: 'active' }));
+            }
+            if (task.status !== 'archived') {
+                addAction(t('tasks.archive'), () => this.updateTask(task.id, { status: 'archived' }));
+            }
+            addAction(t('tasks.edit'), () => this.editTask(task.id));
+            
+            container.appendChild(card);
+        });
+    }
+}
+
+// ========================================
+// 完了履歴ストア (IndexedDB)
+// ========================================
+class CompletionHistory {
+    constructor() {
+        this.DB_NAME = 'pomodoroHistory';
+        this.STORE_NAME = 'completions';
+        this.dbPromise = this.open();
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, 2);
+            
+            request.onupgradeneeded = (event) => {
+                if (event.oldVersion < 1) {
+                    const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('date', 'date');
+                    store.createIndex('taskName', 'taskName');
+                }
+                if (event.oldVersion < 2) {
+                    request.transaction.objectStore(this.STORE_NAME).createIndex('taskId', 'taskId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async run(mode, operation) {
+        const db = await this.dbPromise;
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(this.STORE_NAME));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    add(completion) {
+        return this.run('readwrite', store => store.add(completion));
+    }
+    
+    addAll(completions) {
+        return this.run('readwrite', store => {
+            completions.forEach(completion => store.add(completion));
+        });
+    }
+    
+    addMissing(completions) {
+        // 同じ時刻・同じタスクの記録が既にあれば追加しない (移行が途中で中断されても重複させない)
+        // 時刻だけで比べると、同じ時刻に記録された別のタスクの完了まで落としてしまう
+        const isSame = (a, b) => a.timestamp === b.timestamp && a.taskName === b.taskName;
+        return this.run('readwrite', store => {
+            const index = store.index('timestamp');
+            completions.forEach(completion => {
+                const request = index.getAll(completion.timestamp);
+                request.onsuccess = () => {
+                    if (!request.result.some(record => isSame(record, completion))) store.add(completion);
+                };
+            });
+        });
+    }
+    
+    replaceAll(completions) {
+        return this.run('readwrite', store => {
+            store.clear();
+            completions.forEach(completion => store.add(completion));
+        });
+    }
+    
+    getAll() {
+        return this.run('readonly', store => store.index('timestamp').getAll());
+    }
+    
+    put(completion) {
+        return this.run('readwrite', store => store.put(completion));
+    }
+    
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+    
+    getRange(from, to) {
+        return this.run('readonly', store => store.index('timestamp').getAll(IDBKeyRange.bound(from, to)));
+    }
+    
+    getByDate(date) {
+        return this.run('readonly', store => store.index('date').getAll(date));
+    }
+    
+    getByTask(taskId) {
+        return this.run('readonly', store => store.index('taskId').getAll(taskId));
+    }
+    
+    linkTasks(resolveTaskId) {
+        return this.run('readwrite', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                if (!cursor.value.taskId) {
+                    cursor.update({ ...cursor.value, taskId: resolveTaskId(cursor.value.taskName) });
+                }
+                cursor.continue();
+            };
+        });
+    }
+    
+    // idMap: 古いタスクID → 付け替え先のタスクID
+    relinkTasks(idMap) {
+        return this.run('readwrite', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                if (idMap[cursor.value.taskId]) {
+                    cursor.update({ ...cursor.value, taskId: idMap[cursor.value.taskId] });
+                }
+                cursor.continue();
+            };
+        });
+    }
+    
+    async getDays({ before = null, days }) {
+        // before ({ timestamp, id }: 読み込み済みの最も古い記録) より古い記録を、新しい順に days 日分だけ読み込む
+        // 同じ時刻の記録は ID の大きい順に並ぶので、時刻と ID の組で続きの位置を決める
+        const records = [];
+        const dates = [];
+        let hasMore = false;
+        
+        await this.run('readonly', store => {
+            const range = before ? IDBKeyRange.upperBound(before.timestamp) : null;
+            const request = store.index('timestamp').openCursor(range, 'prev');
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                // before と同じ時刻で、読み込み済みの記録は飛ばす
+                if (before && cursor.key === before.timestamp && cursor.primaryKey >= before.id) {
+                    cursor.continue();
+                    return;
+                }
+                
+                const record = cursor.value;
+                if (!dates.includes(record.date)) {
+                    if (dates.length === days) {
+                        hasMore = true;
+                        return;
+                    }
+                    dates.push(record.date);
+                }
+                
+                records.push(record);
+                cursor.continue();
+            };
+        });
+        
+        return { records, hasMore };
+    }
+}
+
+// ========================================
+// データ入出力システム
+// ========================================
+class DataExchange {
+    // onImport: 取り込んで履歴が変わった後に呼ぶ
+    constructor(taskManager, gameSystem, onImport) {
+        this.taskManager = taskManager;
+        this.gameSystem = gameSystem;
+        this.onImport = onImport;
+        
+        // 見出しは表示言語で書き出し、取り込むときはどの言語の見出しでも受け付ける (訳は csv.*)
+        this.CSV_COLUMNS = ['taskName', 'completedAt', 'minutes', 'interrupted', 'pauseCount', 'memo'];
+    }
+    
+    // ========================================
+    // エクスポート
+    // ========================================
+    async exportData(format) {
+        const dateStamp = new Date().toISOString().split('T')[0];
+        const filename = `${t('exchange.fileName')}-${dateStamp}`;
+        
+        try {
+            const completions = await this.taskManager.history.getAll();
+            
+            switch (format) {
+                case 'json':
+                    this.downloadFile(this.toJSON(completions), `${filename}.json`, 'application/json');
+                    break;
+                case 'ics':
+                    this.downloadFile(this.toICS(completions), `${filename}.ics`, 'text/calendar');
+                    break;
+                default:
+                    this.downloadFile('\uFEFF' + this.toCSV(completions), `${filename}.csv`, 'text/csv');
+            }
+        } catch (error) {
+            console.warn('エクスポートに失敗しました:', error);
+            alert(t('exchange.exportFailed', { message: error.message }));
+        }
+    }
+    
+    toCSV(completions) {
+        const escapeCSV = (value) => {
+            value = String(value);
+            if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+                return `"${value.replace(/"/g, '""')}"`;
+            }
+            return value;
+        };
+        
+        const rows = completions.map(completion => [
+            formatTaskName(this.taskManager.getRecordName(completion)),
+            this.formatLocalDateTime(new Date(completion.timestamp)),
+            Math.round(completion.duration / 60),
+            t(completion.interrupted ? 'csv.yes' : 'csv.no'),
+            completion.pauseCount || 0,
+            completion.memo || ''
+        ].map(escapeCSV).join(','));
+        
+        const header = this.CSV_COLUMNS.map(column => escapeCSV(t(`csv.${column}`)));
+        return [header.join(','), ...rows].join('\n');
+    }
+    
+    toJSON(completions) {
+        return JSON.stringify({
+            app: 'pomodoro-girl',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            pomodoroTasks: { ...this.taskManager.data, completions },
+            pomodoroGameData: this.gameSystem.playerData
+        }, null, 2);
+    }
+    
+    toICS(completions) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Pomodoro Girl//ポモドロ子//JA',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${this.escapeICS(t('exchange.calendarName'))}`,
+            `X-POMODORO-GAME-DATA:${this.escapeICS(JSON.stringify(this.gameSystem.playerData))}`
+        ];
+        
+        completions.forEach((completion, index) => {
+            const taskName = formatTaskName(this.taskManager.getRecordName(completion));
+            const end = new Date(completion.timestamp);
+            const duration = completion.duration;
+            const start = new Date(end.getTime() - duration * 1000);
+            const status = t(completion.interrupted ? 'exchange.interrupted' : 'exchange.completed');
+            
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${end.getTime()}-${index}@pomodoro-girl`,
+                `DTSTAMP:${this.toICSDate(new Date())}`,
+                `DTSTART:${this.toICSDate(start)}`,
+                `DTEND:${this.toICSDate(end)}`,
+                `SUMMARY:${this.escapeICS(`🍅 ${taskName}`)}`,
+                `DESCRIPTION:${this.escapeICS(`${t('exchange.eventDescription', { status, count: completion.pauseCount || 0 })}${completion.memo ? `\n${completion.memo}` : ''}`)}`,
+                `X-POMODORO-TASK:${this.escapeICS(taskName)}`,
+                `X-POMODORO-DURATION:${duration}`,
+                `X-POMODORO-INTERRUPTED:${completion.interrupted ? 'TRUE' : 'FALSE'}`,
+                `X-POMODORO-PAUSE-COUNT:${completion.pauseCount || 0}`,
+                `X-POMODORO-PAUSED-TIME:${completion.pausedTime || 0}`,
+                'END:VEVENT'
+            );
+        });
+        
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+    }
+    
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    // ========================================
+    // インポート
+    // ========================================
+    async importFile(file, mode) {
+        try {
+            const imported = this.parseFile(file.name, await file.text());
+            
+            if (mode === 'replace' && !confirm(t('exchange.confirmReplace'))) {
+                return;
+            }
+            
+            await this.applyImport(imported, mode);
+            this.onImport();
+            alert(t('exchange.imported', { count: imported.completions.length }));
+        } catch (error) {
+            console.warn('インポートに失敗しました:', error);
+            alert(t('exchange.failed', { message: error.message }));
+        }
+    }
+    
+    parseFile(filename, text) {
+        text = text.replace(/^\uFEFF/, '');
+        const extension = filename.split('.').pop().toLowerCase();
+        
+        if (extension === 'json' || text.trimStart().startsWith('{')) return this.parseJSON(text);
+        if (extension === 'ics' || text.startsWith('BEGIN:VCALENDAR')) return this.parseICS(text);
+        if (extension === 'csv') return this.parseCSV(text);
+        
+        throw new Error(t('exchange.unsupportedFormat'));
+    }
+    
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(t('exchange.invalidJSON'));
+        }
+        
+        if (!data || !data.pomodoroTasks || !Array.isArray(data.pomodoroTasks.completions)) {
+            throw new Error(t('exchange.notRecordFile'));
+        }
+        
+        // 古いバージョンで出力されたファイルも現在の形式に揃える
+        const tasks = this.taskManager.store.migrate(data.pomodoroTasks);
+        const gameData = data.pomodoroGameData ? this.gameSystem.store.migrate(data.pomodoroGameData) : null;
+        
+        return {
+            tasks: tasks.tasks.filter(task => task && typeof task.id === 'string' && typeof task.name === 'string'),
+            completions: tasks.completions.map(completion => this.normalizeCompletion(completion)),
+            gameData: gameData ? this.normalizePlayerData(gameData) : null
+        };
+    }
+    
+    parseICS(text) {
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const completions = [];
+        let gameData = null;
+        let event = null;
+        
+        lines.forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator < 0) return;
+            
+            const name = line.slice(0, separator).split(';')[0].toUpperCase();
+            const value = line.slice(separator + 1);
+            
+            if (name === 'BEGIN' && value === 'VEVENT') {
+                event = {};
+            } else if (name === 'END' && value === 'VEVENT') {
+                completions.push(this.normalizeCompletion({
+                    taskName: event['X-POMODORO-TASK'] ?? (event.SUMMARY || '').replace(/^🍅 /, ''),
+                    timestamp: this.parseICSDate(event.DTEND),
+                    duration: event['X-POMODORO-DURATION'],
+                    interrupted: event['X-POMODORO-INTERRUPTED'] === 'TRUE',
+                    pauseCount: event['X-POMODORO-PAUSE-COUNT'],
+                    pausedTime: event['X-POMODORO-PAUSED-TIME']
+                }));
+                event = null;
+            } else if (event) {
+                event[name] = this.unescapeICS(value);
+            } else if (name === 'X-POMODORO-GAME-DATA') {
+                try {
+                    gameData = this.normalizePlayerData(this.gameSystem.store.migrate(JSON.parse(this.unescapeICS(value))));
+                } catch (error) {
+                    throw new Error(t('exchange.unreadableGameData'));
+                }
+            }
+        });
+        
+        return { completions, gameData };
+    }
+    
+    parseCSV(text) {
+        const [header, ...rows] = this.splitCSV(text);
+        // どの言語で書き出した見出しでも列を見つけられるようにする
+        const column = (name) => header.findIndex(label => i18n.variants(`csv.${name}`).includes(label));
+        
+        if (!header || column('taskName') < 0 || column('completedAt') < 0) {
+            throw new Error(t('exchange.invalidCSVHeader'));
+        }
+        
+        const yes = i18n.variants('csv.yes');
+        const completions = rows
+            .filter(row => row.some(value => value !== ''))
+            .map(row => {
+                const minutes = column('minutes') >= 0 ? parseFloat(row[column('minutes')]) : NaN;
+                return this.normalizeCompletion({
+                    taskName: row[column('taskName')],
+                    timestamp: this.parseLocalDateTime(row[column('completedAt')]),
+                    duration: Number.isFinite(minutes) ? minutes * 60 : undefined,
+                    interrupted: yes.includes(row[column('interrupted')]),
+                    pauseCount: row[column('pauseCount')],
+                    memo: row[column('memo')]
+                });
+            });
+        
+        // CSVにはゲームデータが含まれない
+        return { completions, gameData: null };
+    }
+    
+    splitCSV(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    }
+    
+    // ========================================
+    // 検証
+    // ========================================
+    normalizeCompletion(raw) {
+        const timestamp = new Date(raw && raw.timestamp);
+        if (!raw || typeof raw.taskName !== 'string' || !raw.timestamp || isNaN(timestamp.getTime())) {
+            throw new Error(t('exchange.invalidRecord'));
+        }
+        
+        const completion = {
+            taskId: typeof raw.taskId === 'string' ? raw.taskId : null,
+            taskName: normalizeTaskName(raw.taskName),
+            date: timestamp.toDateString(),
+            timestamp: timestamp.toISOString(),
+            interrupted: Boolean(raw.interrupted),
+            pauseCount: Math.max(0, parseInt(raw.pauseCount) || 0),
+            pausedTime: Math.max(0, parseInt(raw.pausedTime) || 0)
+        };
+        
+        // 所要時間のない記録は旧形式の25分として扱う
+        const duration = parseInt(raw.duration);
+        completion.duration = duration >= 0 ? duration : 25 * 60;
+        if (raw.memo) completion.memo = String(raw.memo);
+        
+        return completion;
+    }
+    
+    normalizePlayerData(raw) {
+        const isCount = (value) => Number.isFinite(value) && value >= 0;
+        const isMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        const valid = isMap(raw)
+            && ['level', 'exp', 'totalItems', 'totalPomodoros'].every(key => isCount(raw[key]))
+            && isMap(raw.inventory)
+            && isMap(raw.discoveredItems)
+            && Object.values(raw.inventory).every(isCount);
+        
+        if (!valid) {
+            throw new Error(t('exchange.invalidGameData'));
+        }
+        return raw;
+    }
+    
+    // ========================================
+    // 取り込み
+    // ========================================
+    async applyImport({ tasks = [], completions, gameData }, mode) {
+        const { taskManager } = this;
+        const { history } = taskManager;
+        
+        if (mode === 'replace') {
+            taskManager.data = { ...taskManager.data, tasks: [], activeTaskId: null };
+        }
+        
+        // 取り込んだタスクを手元のタスクに対応づける (IDが同じか、名前が同じものは同一とみなす)
+        const idMap = {};
+        tasks.forEach(task => {
+            const existing = taskManager.getTask(task.id) || taskManager.data.tasks.find(t => t.name === task.name);
+            if (existing) {
+                idMap[task.id] = existing.id;
+            } else {
+                taskManager.data.tasks.push({ ...taskManager.createTask(task), ...task });
+                idMap[task.id] = task.id;
+            }
+        });
+        completions.forEach(completion => {
+            const task = taskManager.getTask(idMap[completion.taskId]) || taskManager.resolveTask(completion.taskName);
+            completion.taskId = task.id;
+        });
+        
+        let merged;
+        if (mode === 'replace') {
+            merged = completions;
+            await history.replaceAll(completions);
+        } else {
+            const current = await history.getAll();
+            const added = this.findNewCompletions(current, completions);
+            merged = [...current, ...added];
+            await history.addAll(added);
+        }
+        
+        taskManager.recountActuals(merged);
+        taskManager.saveData();
+        taskManager.updateSuggestions();
+        taskManager.renderTaskList();
+        await taskManager.reloadRecords();
+        
+        if (gameData) {
+            this.gameSystem.playerData = mode === 'replace'
+                ? gameData
+                : this.mergePlayerData(this.gameSystem.playerData, gameData);
+            this.gameSystem.savePlayerData();
+            this.gameSystem.updateDisplay();
+        }
+    }
+    
+    findNewCompletions(current, imported) {
+        // ICS・CSVは秒単位なので、秒まで一致すれば同じ記録とみなす
+        // タスク名は書き出しと同じく現在の名前で比べる (改名後に書き出したファイルを取り込んでも重複しない)
+        const key = (completion) => `${Math.floor(new Date(completion.timestamp).getTime() / 1000)}|${this.taskManager.getRecordName(completion)}`;
+        const known = new Set(current.map(key));
+        return imported.filter(completion => !known.has(key(completion)));
+    }
+    
+    mergePlayerData(current, imported) {
+        // 同じデータを何度取り込んでも増え続けないよう、数値は大きい方を採用する
+        const inventory = { ...current.inventory };
+        Object.entries(imported.inventory).forEach(([item, count]) => {
+            inventory[item] = Math.max(inventory[item] || 0, count);
+        });
+        
+        return {
+            ...imported,
+            ...current,
+            level: Math.max(current.level, imported.level),
+            exp: Math.max(current.exp, imported.exp),
+            totalItems: Math.max(current.totalItems, imported.totalItems),
+            totalPomodoros: Math.max(current.totalPomodoros, imported.totalPomodoros),
+            inventory,
+            discoveredItems: { ...imported.discoveredItems, ...current.discoveredItems },
+            discoveredRecipes: { ...imported.discoveredRecipes, ...current.discoveredRecipes },
+            dungeon: this.deeperDungeon(current.dungeon, imported.dungeon),
+            equipment: current.equipment
+        };
+    }
+    
+    deeperDungeon(current, imported) {
+        if (!imported) return current;
+        if (imported.floor !== current.floor) return imported.floor > current.floor ? imported : current;
+        return imported.progress > current.progress ? imported : current;
+    }
+    
+    // ========================================
+    // iCalendar ヘルパー
+    // ========================================
+    escapeICS(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+    
+    unescapeICS(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+    
+    foldICSLine(line) {
+        // 1行75オクテットまで (UTF-8のマルチバイト文字を分割しない)
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+        
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (bytes + size > 75) {
+                parts.push(current);
+                current = ' ';
+                bytes = 1;
+            }
+            current += char;
+            bytes += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+    
+    toICSDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    
+    parseICSDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+        if (!match) return null;
+        
+        const [, year, month, day, hour, minute, second] = match.map(Number);
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString();
+    }
+    
+    // 表示言語によらず、以前の toLocaleString('ja-JP') と同じ形式で書き出す (例: 2024/1/5 9:03:00)
+    formatLocalDateTime(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+    
+    parseLocalDateTime(value) {
+        // formatLocalDateTime の形式
+        const match = /^(\d{4})\/(\d{1,2})\/(\d{1,2})\s+(\d{1,2}):(\d{2}):(\d{2})$/.exec((value || '').trim());
+        if (!match) return null;
+        
+        const [, year, month, day, hour, minute, second] = match.map(Number);
+        return new Date(year, month - 1, day, hour, minute, second).toISOString();
+    }
+}
+
+// ========================================
+// ゲームシステム
+// ========================================
+class GameSystem {
+    // headless: 画面にも localStorage にも触れない (バランス調整用のシミュレーション)
+    constructor({ random = Math.random, itemData = null, playerData = null, headless = false } = {}) {
+        this.random = random;
+        this.headless = headless;
+        this.store = headless ? null : new VersionedStore('pomodoroGameData', {
+            defaults: () => this.getDefaultPlayerData(),
+            migrations: this.getMigrations(),
+            merge: (base, local, stored) => {
+                // 経験値・所持数などは互いの獲得分を足し、レベルはそこから求め直す
+                // 階層の進み具合や天井のカウントは足すと壊れるので、このタブの値を採用する
+                const merged = mergeChanges(base, local, stored, ['exp', 'totalItems', 'totalPomodoros', 'inventory.*']);
+                return { ...merged, level: this.progression.getProgress(merged.exp).level };
+            }
+        });
+        this.playerData = headless ? (playerData || this.getDefaultPlayerData()) : this.store.load();
+        this.itemBoxes = [];
+        this.explorationTimer = null;
+        this.startTime = null;
+        this.itemData = null;
+        this.crafting = null;
+        this.progression = new Progression();
+        this.resultDialog = headless ? null : new ModalDialog(document.getElementById('resultModal'), {
+            background: document.getElementById('modalBackground'),
+            closeButton: document.getElementById('resultCloseBtn')
+        });
+        
+        this.ready = itemData ? Promise.resolve(this.setItemData(itemData)) : this.loadItemData();
+    }
+    
+    async loadItemData() {
+        let itemData;
+        try {
+            if (window.location.protocol === 'file:') {
+                itemData = this.getFallbackItemData();
+            } else {
+                // オフラインでキャッシュにも無い場合などは Service Worker がエラーを返す
+                const response = await fetch('items.json');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                itemData = await response.json();
+            }
+        } catch (error) {
+            console.warn('アイテムデータの読み込みに失敗しました。フォールバックデータを使用します');
+            itemData = this.getFallbackItemData();
+        }
+        
+        this.setItemData(itemData);
+    }
+    
+    setItemData(itemData) {
+        this.itemData = itemData;
+        this.crafting = new Crafting(itemData, this.random);
+        this.progression = new Progression(itemData.leveling);
+        this.discoverRecipes();
+        
+        // 階層のテーマ名を表示し、復元されたアイテムボックスを表示
+        this.updateDisplay();
+        this.updateItemBoxDisplay();
+    }
+    
+    getFallbackItemData() {
+        return {
+            items: {
+                common: ['rusty-spoon', 'empty-lighter', 'aluminum-lunchbox', 'broken-pencil-lead', 'frog-finger-puppet', 'bottle-rocket', 'handdrawn-magic-circle', 'cafe-point-card', 'five-color-pen', 'charging-cable', 'canned-coffee', 'barber-pole', 'bear-figurine', 'apple', 'loose-change', 'worn-rain-boots', 'hand-bell', 'playing-cards', 'instant-camera', 'alarm-clock'],
+                rare: ['magic-crystal', 'ancient-tome', 'glowing-stone', 'silver-ring', 'spirit-feather'],
+                epic: ['dragon-scale', 'sage-staff', 'hourglass-of-time', 'holy-shield', 'phoenix-feather'],
+                legendary: ['world-tree-leaf', 'stone-of-creation', 'infinite-knowledge', 'star-fragment', 'book-of-truth']
+            },
+            craftedItems: {
+                'apple-pie-lunch': 'rare',
+                'full-stamp-card': 'rare',
+                'magician-hat': 'epic',
+                'starry-sky-photo': 'epic',
+                'true-magic-circle': 'epic',
+                'eternal-pomodoro': 'legendary'
+            },
+            recipes: [
+                { id: 'upgrade-common', type: 'upgrade', rarity: 'common', count: 5, result: 'rare' },
+                { id: 'upgrade-rare', type: 'upgrade', rarity: 'rare', count: 5, result: 'epic' },
+                { id: 'apple-pie', type: 'combine', ingredients: { 'apple': 3, 'aluminum-lunchbox': 1 }, result: 'apple-pie-lunch' },
+                { id: 'stamp-card', type: 'combine', ingredients: { 'canned-coffee': 2, 'cafe-point-card': 1 }, result: 'full-stamp-card' },
+                { id: 'silk-hat', type: 'combine', ingredients: { 'playing-cards': 1, 'loose-change': 3, 'frog-finger-puppet': 1 }, result: 'magician-hat' },
+                { id: 'starry-photo', type: 'combine', ingredients: { 'instant-camera': 1, 'glowing-stone': 1 }, result: 'starry-sky-photo' },
+                { id: 'magic-circle', type: 'combine', ingredients: { 'handdrawn-magic-circle': 1, 'magic-crystal': 1, 'ancient-tome': 1 }, result: 'true-magic-circle' },
+                { id: 'eternal-pomodoro', type: 'combine', ingredients: { 'hourglass-of-time': 1, 'alarm-clock': 1, 'apple': 1 }, result: 'eternal-pomodoro' }
+            ],
+            leveling: {
+                baseExp: 100,
+                growth: 1.06,
+                dropBonus: { max: 10, halfLevel: 20 },
+                pity: { rarity: 'epic', boxes: 30 }
+            },
+            equipment: {
+                slots: ['head', 'hand', 'charm', 'outfit'],
+                items: {
+                    'holy-shield': { slot: 'hand', effect: { type: 'streakGuard', charges: 1 }, overlay: { emoji: '🛡️', x: 180, y: 150, size: 44 } },
+                    'hourglass-of-time': { slot: 'charm', effect: { type: 'boxTimeBonus', seconds: 60 }, overlay: { emoji: '⏳', x: 80, y: 160, size: 36 } },
+                    'spirit-feather': { slot: 'head', effect: { type: 'expBonus', percent: 10 }, overlay: { emoji: '🪶', x: 150, y: 30, size: 36 } },
+                    'glowing-stone': { slot: 'charm', effect: { type: 'rarityBonus', points: 1 }, overlay: { emoji: '💡', x: 80, y: 160, size: 32 } },
+                    'silver-ring': { slot: 'hand', effect: { type: 'rarityBonus', points: 1 }, overlay: { emoji: '💍', x: 180, y: 150, size: 28 } },
+                    'sage-staff': { slot: 'hand', effect: { type: 'expBonus', percent: 20 }, overlay: { emoji: '🪄', x: 180, y: 130, size: 44 } },
+                    'phoenix-feather': { slot: 'head', effect: { type: 'streakGuard', charges: 1 }, overlay: { emoji: '🔥', x: 150, y: 30, size: 36 } },
+                    'dragon-scale': { slot: 'outfit', effect: { type: 'rarityBonus', points: 2 }, spriteSet: 'dragon' },
+                    'world-tree-leaf': { slot: 'head', effect: { type: 'expBonus', percent: 30 }, overlay: { emoji: '🍃', x: 150, y: 30, size: 36 } },
+                    'star-fragment': { slot: 'outfit', effect: { type: 'boxTimeBonus', seconds: 120 }, spriteSet: 'starlight' }
+                },
+                spriteSets: {
+                    default: { frames: ['images/walk1.png', 'images/walk2.png', 'images/walk3.png', 'images/walk4.png', 'images/walk5.png', 'images/walk6.png'], filter: 'none' },
+                    dragon: { variantOf: 'default', filter: 'hue-rotate(120deg) saturate(1.4)' },
+                    starlight: { variantOf: 'default', filter: 'hue-rotate(200deg) brightness(1.1)' }
+                }
+            },
+            achievements: [
+                { id: 'first-pomodoro', icon: '🍅', rule: { type: 'totalPomodoros', count: 1 } },
+                { id: 'pomodoro-100', icon: '💯', rule: { type: 'totalPomodoros', count: 100 } },
+                { id: 'first-legendary', icon: '🌟', rule: { type: 'rarityFound', rarity: 'legendary' } },
+                { id: 'streak-7', icon: '📅', rule: { type: 'streak', days: 7 } },
+                { id: 'common-catalog', icon: '📚', rule: { type: 'catalogComplete', rarity: 'common' } },
+                { id: 'daily-10', icon: '🔥', rule: { type: 'dailyPomodoros', count: 10 } },
+                { id: 'early-bird', icon: '🌅', rule: { type: 'finishedBetween', from: 0, to: 7 } },
+                { id: 'level-10', icon: '⭐', rule: { type: 'level', level: 10 } },
+                { id: 'first-boss', icon: '👑', rule: { type: 'floor', floor: 6 } }
+            ],
+            dungeon: {
+                pomodorosPerFloor: 10,
+                themes: [
+                    {
+                        id: 'sewer', floors: 5,
+                        weights: { rare: 11, epic: 3.5, legendary: 0.5 },
+                        loot: { common: ['mossy-brick'], rare: ['rusty-key-ring'] },
+                        boss: { streak: 3, reward: 'epic', bonusExp: 100 },
+                        background: { wall: '#5b6b5a', brick: '#4a5849', floor: '#3b463a' }
+                    },
+                    {
+                        id: 'library', floors: 5,
+                        weights: { rare: 14, epic: 4.5, legendary: 0.5 },
+                        loot: { common: ['pressed-flower-bookmark'], rare: ['forbidden-index'], epic: ['librarian-monocle'] },
+                        boss: { streak: 4, reward: 'epic', bonusExp: 150 },
+                        background: { wall: '#7a5c44', brick: '#664a35', floor: '#4f3826' }
+                    },
+                    {
+                        id: 'crystal-cave', floors: 5,
+                        weights: { rare: 16, epic: 6, legendary: 1 },
+                        loot: { rare: ['cave-crystal'], epic: ['resonant-stalactite'] },
+                        boss: { streak: 5, reward: 'legendary', bonusExp: 200 },
+                        background: { wall: '#4f5d7a', brick: '#3f4b66', floor: '#323b52' }
+                    },
+                    {
+                        id: 'star-garden', floors: 5,
+                        weights: { rare: 18, epic: 8, legendary: 2 },
+                        loot: { epic: ['shooting-star-seed'], legendary: ['moon-hourglass'] },
+                        boss: { streak: 6, reward: 'legendary', bonusExp: 300 },
+                        background: { wall: '#2f3557', brick: '#262b48', floor: '#3c5a3c' }
+                    }
+                ]
+            },
+            boxImages: {
+                common: 'images/Common_box.png',
+                rare: 'images/Rare_box.png',
+                epic: 'images/Epic_box.png',
+                legendary: 'images/Legendary_box.png'
+            },
+            rarityColors: {
+                common: '#8B4513',
+                rare: '#4169E1',
+                epic: '#9932CC',
+                legendary: '#FFD700'
+            },
+            experienceBonuses: {
+                common: 0,
+                rare: 10,
+                epic: 25,
+                legendary: 50
+            }
+        };
+    }
+    
+    getDefaultPlayerData() {
+        return {
+            level: 1,
+            exp: 0,
+            totalItems: 0,
+            inventory: {},
+            discoveredItems: {},
+            discoveredRecipes: {},
+            totalPomodoros: 0,
+            // ボスのいる階では progress が連続完了数になる
+            dungeon: { floor: 1, progress: 0, guardsUsed: 0 },
+            // エピック以上が出ないまま開けた箱の数
+            pityCounter: 0,
+            // 装備枠 → アイテムID
+            equipment: {}
+        };
+    }
+    
+    getMigrations() {
+        return [
+            // v0 → v1: 欠けている項目を初期値で補い、数値でない値を修正
+            (data) => {
+                const defaults = this.getDefaultPlayerData();
+                const migrated = { ...defaults, ...data };
+                
+                ['level', 'exp', 'totalItems', 'totalPomodoros'].forEach(key => {
+                    if (!Number.isFinite(migrated[key]) || migrated[key] < 0) migrated[key] = defaults[key];
+                });
+                ['inventory', 'discoveredItems'].forEach(key => {
+                    if (!migrated[key] || typeof migrated[key] !== 'object') migrated[key] = {};
+                });
+                migrated.level = Math.max(1, migrated.level);
+                
+                return migrated;
+            },
+            // v1 → v2: 合成レシピの発見状況を追加
+            (data) => ({ ...data, discoveredRecipes: {} }),
+            // v2 → v3: 表示だけだった階層を、完了数から求めて保存する
+            (data) => ({
+                ...data,
+                dungeon: {
+                    floor: Math.floor(data.totalPomodoros / 10) + 1,
+                    progress: data.totalPomodoros % 10
+                }
+            }),
+            // v3 → v4: 100ごとの直線だった経験値を、レベルを保ったまま新しい曲線に載せ替える
+            (data) => {
+                const progression = new Progression();
+                const ratio = (data.exp % 100) / 100;
+                return {
+                    ...data,
+                    exp: progression.totalExpFor(data.level) + Math.floor(progression.expToNext(data.level) * ratio),
+                    pityCounter: 0
+                };
+            },
+            // v4 → v5: 装備を追加
+            (data) => ({ ...data, equipment: {}, dungeon: { ...data.dungeon, guardsUsed: 0 } }),
+            // v5 → v6: 表示名で記録していたアイテムを、言語によらないIDに置き換える
+            (data) => {
+                const ids = this.getLegacyItemIds();
+                const toId = (name) => ids[name] || name;
+                const renameKeys = (map) => Object.fromEntries(Object.entries(map).map(([name, value]) => [toId(name), value]));
+                
+                const equipment = {};
+                Object.entries(data.equipment).forEach(([slot, name]) => {
+                    equipment[slot] = toId(name);
+                });
+                return {
+                    ...data,
+                    inventory: renameKeys(data.inventory),
+                    discoveredItems: renameKeys(data.discoveredItems),
+                    equipment
+                };
+            }
+        ];
+    }
+    
+    // v5 までの表示名 → アイテムID (移行専用。表示名の訳を変えてもここは変えない)
+    getLegacyItemIds() {
+        return {
+            'サビたスプーン': 'rusty-spoon',
+            'オイル切れライター': 'empty-lighter',
+            'アルミの弁当箱': 'aluminum-lunchbox',
+            '折れた鉛筆の芯': 'broken-pencil-lead',
+            'カエルの指人形': 'frog-finger-puppet',
+            'ペットボトルロケット': 'bottle-rocket',
+            '手書きの魔法陣': 'handdrawn-magic-circle',
+            'カフェのポイントカード': 'cafe-point-card',
+            '5色ボールペン': 'five-color-pen',
+            '充電ケーブル': 'charging-cable',
+            '缶コーヒー': 'canned-coffee',
+            '理髪店のサインポール': 'barber-pole',
+            '熊の置物': 'bear-figurine',
+            'りんご': 'apple',
+            '小銭': 'loose-change',
+            'くたびれた長靴': 'worn-rain-boots',
+            '呼び鈴': 'hand-bell',
+            'トランプ': 'playing-cards',
+            'インスタントカメラ': 'instant-camera',
+            'めざまし時計': 'alarm-clock',
+            '魔法の水晶': 'magic-crystal',
+            '古代の書物': 'ancient-tome',
+            '光る石': 'glowing-stone',
+            '銀の指輪': 'silver-ring',
+            '精霊の羽': 'spirit-feather',
+            'ドラゴンの鱗': 'dragon-scale',
+            '賢者の杖': 'sage-staff',
+            '時の砂時計': 'hourglass-of-time',
+            '聖なる盾': 'holy-shield',
+            '不死鳥の羽根': 'phoenix-feather',
+            '世界樹の葉': 'world-tree-leaf',
+            '創造の石': 'stone-of-creation',
+            '無限の知識': 'infinite-knowledge',
+            '星の欠片': 'star-fragment',
+            '真理の書': 'book-of-truth',
+            'アップルパイ弁当': 'apple-pie-lunch',
+            '満点のスタンプカード': 'full-stamp-card',
+            '手品師のシルクハット': 'magician-hat',
+            '星空の写真': 'starry-sky-photo',
+            '本物の魔法陣': 'true-magic-circle',
+            '永遠のポモドーロ': 'eternal-pomodoro',
+            '苔むしたレンガ': 'mossy-brick',
+            '錆びた鍵束': 'rusty-key-ring',
+            '押し花のしおり': 'pressed-flower-bookmark',
+            '禁書の目録': 'forbidden-index',
+            '司書の片眼鏡': 'librarian-monocle',
+            '洞窟の水晶': 'cave-crystal',
+            '共鳴する鍾乳石': 'resonant-stalactite',
+            '流れ星の種': 'shooting-star-seed',
+            '月の砂時計': 'moon-hourglass'
+        };
+    }
+    
+    savePlayerData() {
+        if (this.store) this.playerData = this.store.save(this.playerData);
+    }
+    
+    reload() {
+        this.playerData = this.store.load();
+        this.updateDisplay();
+    }
+    
+    startExploration(startTime = Date.now(), itemBoxes = []) {
+        this.stopExploration();
+        this.itemBoxes = itemBoxes;
+        this.startTime = startTime;
+        this.updateItemBoxDisplay();
+        
+        this.explorationTimer = setInterval(() => this.syncBoxes(), 1000);
+    }
+    
+    syncBoxes(now = Date.now()) {
+        const elapsed = Math.floor((now - this.startTime) / 1000) + this.getEquipmentEffects().boxTimeBonus;
+        const expectedBoxes = Math.min(5, Math.floor(elapsed / (5 * 60)));
+        
+        while (this.itemBoxes.length < expectedBoxes) {
+            this.addItemBox();
+        }
+    }
+    
+    stopExploration() {
+        if (this.explorationTimer) {
+            clearInterval(this.explorationTimer);
+            this.explorationTimer = null;
+        }
+        this.startTime = null;
+    }
+    
+    clearBoxes() {
+        this.itemBoxes = [];
+        this.updateItemBoxDisplay();
+    }
+    
+    addItemBox(rarity = this.determineRarity()) {
+        this.playerData.pityCounter = this.progression.isPityRarity(rarity) ? 0 : this.playerData.pityCounter + 1;
+        this.itemBoxes.push({ rarity, item: null });
+        this.updateItemBoxDisplay();
+    }
+    
+    determineRarity(roll = this.random()) {
+        const { pity } = this.progression;
+        if (this.playerData.pityCounter >= pity.boxes - 1) return pity.rarity;
+        
+        const levelBonus = this.progression.dropBonus(this.playerData.level);
+        const random = roll * 100;
+        const { weights } = this.getFloorInfo().theme;
+        
+        // 重みは百分率。残りがコモンになる
+        // ボーナスはレア以上の重みに比例して配り、上のレアリティほど出にくい順番を保つ
+        const tiers = ['legendary', 'epic', 'rare'];
+        const bonus = levelBonus + this.getEquipmentEffects().rarityBonus;
+        const total = tiers.reduce((sum, rarity) => sum + (weights[rarity] || 0), 0);
+        const scale = total > 0 ? 1 + bonus / total : 1;
+        
+        let threshold = 0;
+        for (const rarity of tiers) {
+            threshold += (weights[rarity] || 0) * scale;
+            if (random < threshold) return rarity;
+        }
+        return 'common';
+    }
+    
+    getItemPool(rarity) {
+        const { loot = {} } = this.getFloorInfo().theme;
+        return [...this.itemData.items[rarity], ...(loot[rarity] || [])];
+    }
+    
+    getAllItems() {
+        // 図鑑に載るすべてのアイテム (基本・階層限定・合成限定)
+        const allItems = [];
+        const addItems = (items) => {
+            Object.entries(items).forEach(([rarity, ids]) => {
+                ids.forEach(id => allItems.push({ id, rarity }));
+            });
+        };
+        
+        addItems(this.itemData.items);
+        (this.itemData.dungeon ? this.itemData.dungeon.themes : []).forEach(theme => addItems(theme.loot || {}));
+        Object.entries(this.itemData.craftedItems || {}).forEach(([id, rarity]) => {
+            allItems.push({ id, rarity });
+        });
+        return allItems;
+    }
+    
+    getItemName(id) {
+        return t(`items.${id}.name`);
+    }
+    
+    getItemDescription(id) {
+        return t(`items.${id}.description`);
+    }
+    
+    // ========================================
+    // 迷宮の階層
+    // ========================================
+    getFloorInfo(floor = this.playerData.dungeon.floor) {
+        const itemData = this.itemData || this.getFallbackItemData();
+        const { themes } = itemData.dungeon;
+        
+        // テーマを順に降りていき、最後のテーマは以降ずっと繰り返す
+        let start = 1;
+        for (const theme of themes) {
+            if (floor < start + theme.floors) {
+                return this.createFloorInfo(floor, theme, floor - start + 1);
+            }
+            start += theme.floors;
+        }
+        const last = themes[themes.length - 1];
+        return this.createFloorInfo(floor, last, (floor - start) % last.floors + 1);
+    }
+    
+    createFloorInfo(floor, theme, floorInTheme) {
+        const isBossFloor = Boolean(theme.boss) && floorInTheme === theme.floors;
+        const itemData = this.itemData || this.getFallbackItemData();
+        return {
+            floor,
+            theme,
+            isBossFloor,
+            goal: isBossFloor ? theme.boss.streak : itemData.dungeon.pomodorosPerFloor
+        };
+    }
+    
+    advanceDungeon() {
+        const dungeon = this.playerData.dungeon;
+        const info = this.getFloorInfo();
+        const rewards = { bonusExp: 0, messages: [] };
+        
+        dungeon.progress++;
+        if (dungeon.progress < info.goal) return rewards;
+        
+        if (info.isBossFloor) {
+            const { boss } = info.theme;
+            this.addItemBox(boss.reward);
+            rewards.bonusExp += boss.bonusExp;
+            rewards.messages.push(t('dungeon.bossDefeated', {
+                boss: this.getBossName(info.theme),
+                rarity: this.getRarityName(boss.reward),
+                exp: boss.bonusExp
+            }));
+        }
+        
+        dungeon.floor++;
+        dungeon.progress = 0;
+        dungeon.guardsUsed = 0;
+        
+        const next = this.getFloorInfo();
+        rewards.messages.push(t('dungeon.nextFloor', { theme: this.getThemeName(next.theme), floor: next.floor }));
+        if (next.isBossFloor) {
+            rewards.messages.push(t('dungeon.bossAhead', { boss: this.getBossName(next.theme), goal: next.goal }));
+        }
+        return rewards;
+    }
+    
+    breakStreak() {
+        // ボスの階では、中断すると連続完了数がリセットされる (守りの装備があれば1階につきその回数まで防ぐ)
+        const { dungeon } = this.playerData;
+        if (!this.getFloorInfo().isBossFloor || dungeon.progress === 0) return;
+        
+        if (dungeon.guardsUsed < this.getEquipmentEffects().streakGuard) {
+            dungeon.guardsUsed++;
+        } else {
+            dungeon.progress = 0;
+        }
+        this.savePlayerData();
+        this.updateDisplay();
+    }
+    
+    getDungeonStatus() {
+        const info = this.getFloorInfo();
+        const { progress } = this.playerData.dungeon;
+        
+        if (info.isBossFloor) {
+            const guards = Math.max(0, this.getEquipmentEffects().streakGuard - this.playerData.dungeon.guardsUsed);
+            const guardText = guards > 0 ? ` 🛡️×${guards}` : '';
+            const params = { theme: this.getThemeName(info.theme), floor: info.floor, boss: this.getBossName(info.theme), progress, goal: info.goal };
+            return t('dungeon.bossFloor', params) + guardText;
+        }
+        return t('dungeon.exploring', { theme: this.getThemeName(info.theme), floor: info.floor, progress, goal: info.goal });
+    }
+    
+    getThemeName(theme) {
+        return t(`themes.${theme.id}.name`);
+    }
+    
+    getBossName(theme) {
+        return t(`themes.${theme.id}.boss`);
+    }
+    
+    getRarityName(rarity) {
+        return t(`rarities.${rarity}`);
+    }
+    
+    // 色に頼らないよう、レアリティは名前と記号 (CSS の .rarity-label) でも示す
+    renderRarityLabel(rarity) {
+        return `<span class="rarity-label" data-rarity="${rarity}">${escapeHTML(this.getRarityName(rarity))}</span>`;
+    }
+    
+    updateItemBoxDisplay() {
+        if (this.headless) return;
+        
+        const container = document.getElementById('itemBoxes');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        if (!this.itemData) return;
+        
+        this.itemBoxes.forEach(box => {
+            const img = document.createElement('img');
+            img.src = this.itemData.boxImages[box.rarity];
+            img.style.cssText = 'width: 24px; height: 24px; image-rendering: pixelated; margin: 2px;';
+            img.title = t('player.itemBox', { rarity: this.getRarityName(box.rarity) });
+            img.alt = img.title;
+            container.appendChild(img);
+        });
+    }
+    
+    completeExploration({ bonusExp = 0, messages = [] } = {}, { showResult = true } = {}) {
+        this.stopExploration();
+        
+        if (!this.itemData) {
+            this.itemData = this.getFallbackItemData();
+        }
+        
+        const result = this.openBoxes({ bonusExp, messages });
+        
+        this.savePlayerData();
+        this.updateDisplay();
+        if (showResult) {
+            this.showResult(result.foundItems, result.totalExp, result.leveledUp, result.messages);
+        }
+        
+        this.itemBoxes = [];
+        this.updateItemBoxDisplay();
+        return result;
+    }
+    
+    // 目標を達成したときの報酬 (日の目標はレアの箱、週の目標は経験値)。結果画面に添える文言も返す
+    grantGoalRewards(achieved, taskName) {
+        const rewards = { bonusExp: 0, messages: [] };
+        
+        if (achieved.daily) {
+            this.addItemBox('rare');
+            rewards.messages.push(t('result.dailyGoal'));
+        }
+        if (achieved.weekly) {
+            rewards.bonusExp += 50;
+            rewards.messages.push(t('result.weeklyGoal', { exp: 50 }));
+        }
+        if (achieved.task) {
+            rewards.messages.push(t('result.taskGoal', { task: formatTaskName(taskName) }));
+        }
+        return rewards;
+    }
+    
+    // 箱を開けて経験値を加算する (画面や保存には触れない)
+    openBoxes({ bonusExp = 0, messages = [] } = {}) {
+        const foundItems = [];
+        let totalExpBonus = 0;
+        
+        const dungeonRewards = this.advanceDungeon();
+        bonusExp += dungeonRewards.bonusExp;
+        messages = [...messages, ...dungeonRewards.messages];
+        
+        this.itemBoxes.forEach(box => {
+            const itemList = this.getItemPool(box.rarity);
+            const item = itemList[Math.floor(this.random() * itemList.length)];
+            
+            box.item = item;
+            foundItems.push({ id: item, rarity: box.rarity });
+            
+            this.playerData.inventory[item] = (this.playerData.inventory[item] || 0) + 1;
+            this.playerData.discoveredItems[item] = box.rarity;
+            
+            totalExpBonus += this.itemData.experienceBonuses[box.rarity];
+        });
+        
+        const newRecipes = this.discoverRecipes();
+        if (newRecipes.length > 0) {
+            messages = [...messages, ...newRecipes.map(recipe => t('result.newRecipe', { name: this.crafting.getRecipeName(recipe) }))];
+        }
+        
+        const { expBonus } = this.getEquipmentEffects();
+        const totalExp = Math.round((100 + totalExpBonus + bonusExp) * (1 + expBonus / 100));
+        const oldLevel = this.playerData.level;
+        
+        this.playerData.exp += totalExp;
+        this.playerData.totalItems += foundItems.length;
+        this.playerData.totalPomodoros++;
+        this.playerData.level = this.progression.getProgress(this.playerData.exp).level;
+        
+        const leveledUp = this.playerData.level > oldLevel;
+        
+        return { foundItems, totalExp, leveledUp, messages };
+    }
+    
+    // ========================================
+    // 装備
+    // ========================================
+    getEquipmentData() {
+        const itemData = this.itemData || this.getFallbackItemData();
+        return itemData.equipment;
+    }
+    
+    equip(id) {
+        const definition = this.getEquipmentData().items[id];
+        if (!definition || !this.playerData.inventory[id]) return false;
+        
+        this.playerData.equipment[definition.slot] = id;
+        this.savePlayerData();
+        this.updateDisplay();
+        return true;
+    }
+    
+    unequip(slot) {
+        delete this.playerData.equipment[slot];
+        this.savePlayerData();
+        this.updateDisplay();
+    }
+    
+    isEquipped(id) {
+        return Object.values(this.playerData.equipment).includes(id);
+    }
+    
+    // 装備の効果の説明 (衣装ならどの色違いになるかも添える)
+    describeEquipment(id) {
+        const definition = this.getEquipmentData().items[id];
+        if (!definition) return '';
+        
+        const { type, ...values } = definition.effect;
+        const params = type === 'boxTimeBonus' ? { minutes: values.seconds / 60 } : { ...values, count: values.charges };
+        const effect = t(`equipment.${type}`, params);
+        return definition.spriteSet
+            ? t('equipment.outfit', { outfit: t(`spriteSets.${definition.spriteSet}`), effect })
+            : effect;
+    }
+    
+    getEquipmentEffects() {
+        const effects = { expBonus: 0, rarityBonus: 0, boxTimeBonus: 0, streakGuard: 0 };
+        const { items } = this.getEquipmentData();
+        
+        Object.values(this.playerData.equipment).forEach(id => {
+            const { effect } = items[id] || {};
+            if (!effect) return;
+            
+            switch (effect.type) {
+                case 'expBonus':
+                    effects.expBonus += effect.percent;
+                    break;
+                case 'rarityBonus':
+                    effects.rarityBonus += effect.points;
+                    break;
+                case 'boxTimeBonus':
+                    effects.boxTimeBonus += effect.seconds;
+                    break;
+                case 'streakGuard':
+                    effects.streakGuard += effect.charges;
+                    break;
+            }
+        });
+        return effects;
+    }
+    
+    // キャラクターの見た目 (衣装の色違いと、装備の重ね表示)
+    getAppearance() {
+        const { items } = this.getEquipmentData();
+        const appearance = { spriteSet: 'default', overlays: [] };
+        
+        Object.values(this.playerData.equipment).forEach(id => {
+            const definition = items[id];
+            if (!definition) return;
+            if (definition.spriteSet) appearance.spriteSet = definition.spriteSet;
+            if (definition.overlay) appearance.overlays.push(definition.overlay);
+        });
+        return appearance;
+    }
+    
+    // ========================================
+    // 合成
+    // ========================================
+    discoverRecipes() {
+        if (!this.crafting) return [];
+        
+        const discovered = this.crafting.findDiscoverable(this.playerData.discoveredItems)
+            .filter(recipe => !this.playerData.discoveredRecipes[recipe.id]);
+        
+        discovered.forEach(recipe => {
+            this.playerData.discoveredRecipes[recipe.id] = true;
+        });
+        if (discovered.length > 0) this.savePlayerData();
+        
+        return discovered;
+    }
+    
+    craft(recipeId) {
+        const recipe = this.crafting && this.crafting.getRecipe(recipeId);
+        if (!recipe || !this.playerData.discoveredRecipes[recipeId]) return null;
+        
+        const result = this.crafting.resolve(recipe, this.playerData.inventory);
+        if (!result) return null;
+        
+        const { inventory, discoveredItems } = this.playerData;
+        Object.entries(result.consumed).forEach(([item, count]) => {
+            inventory[item] -= count;
+            if (inventory[item] <= 0) delete inventory[item];
+        });
+        inventory[result.item.id] = (inventory[result.item.id] || 0) + 1;
+        discoveredItems[result.item.id] = result.item.rarity;
+        
+        // 材料に使い切った装備は外す
+        Object.entries(this.playerData.equipment).forEach(([slot, id]) => {
+            if (!inventory[id]) delete this.playerData.equipment[slot];
+        });
+        
+        this.discoverRecipes();
+        this.savePlayerData();
+        
+        return result;
+    }
+    
+    showResult(items, exp, leveledUp, messages = []) {
+        if (!this.resultDialog) return;
+        
+        if (!this.itemData) {
+            this.itemData = this.getFallbackItemData();
+        }
+        
+        const itemsHtml = items.length > 0 
+            ? items.map(item => 
+                `<span style="color: ${this.itemData.rarityColors[item.rarity]};">• ${escapeHTML(this.getItemName(item.id))} (${this.renderRarityLabel(item.rarity)})</span>`
+              ).join('<br>')
+            : `<span style="color: #999;">${escapeHTML(t('result.noItems'))}</span>`;
+        
+        this.setElementContent('foundItems', `<strong>${escapeHTML(t('result.foundItems'))}</strong><br>${itemsHtml}`);
+        this.setElementContent('expGained', t('result.exp', { exp }));
+        
+        const levelUpDiv = document.getElementById('levelUpMessage');
+        if (levelUpDiv) {
+            if (leveledUp) {
+                levelUpDiv.textContent = t('result.levelUp', { level: this.playerData.level });
+                levelUpDiv.style.display = 'block';
+            } else {
+                levelUpDiv.style.display = 'none';
+            }
+        }
+        
+        const goalDiv = document.getElementById('goalMessage');
+        if (goalDiv) {
+            goalDiv.innerHTML = messages.map(escapeHTML).join('<br>');
+            goalDiv.style.display = messages.length > 0 ? 'block' : 'none';
+        }
+        
+        this.resultDialog.open();
+    }
+    
+    closeResult() {
+        if (this.resultDialog) this.resultDialog.close();
+    }
+    
+    appendResultMessages(messages) {
+        const goalDiv = document.getElementById('goalMessage');
+        if (!goalDiv || messages.length === 0) return;
+        
+        const html = messages.map(escapeHTML).join('<br>');
+        goalDiv.innerHTML = goalDiv.innerHTML ? `${goalDiv.innerHTML}<br>${html}` : html;
+        goalDiv.style.display = 'block';
+    }
+    
+    getPlayerTitle(level) {
+        // 称号の名前は titles.<このレベルから>
+        const thresholds = [50, 40, 30, 25, 20, 15, 10, 5, 1];
+        return t(`titles.${thresholds.find(threshold => level >= threshold) || 1}`);
+    }
+
+    updateDisplay() {
+        if (this.headless) return;
+        
+        const level = this.playerData.level;
+        const title = this.getPlayerTitle(level);
+        
+        const progress = this.progression.getProgress(this.playerData.exp);
+        
+        this.setElementContent('level', level);
+        this.setElementContent('currentExp', progress.current);
+        this.setElementContent('nextExp', progress.next);
+        
+        const playerLevelElement = document.getElementById('playerLevel');
+        if (playerLevelElement) {
+            playerLevelElement.innerHTML = `Lv.<span id="level">${level}</span>  ${escapeHTML(title)}`;
+        }
+        
+        const expPercent = Math.floor(progress.current / progress.next * 100);
+        const expBarElement = document.getElementById('expBar');
+        if (expBarElement) {
+            expBarElement.style.width = expPercent + '%';
+        }
+        
+        this.setElementContent('dungeonInfo', this.getDungeonStatus());
     }
     
     setElementContent(id, content) {
@@ -641,188 +4466,1277 @@ class GameSystem {
             if (typeof content === 'string' && content.includes('<')) {
                 element.innerHTML = content;
             } else {
-                element.textContent = content;
+                element.textContent = content;
+            }
+        }
+    }
+}
+
+// ========================================
+// 合成レシピ
+// ========================================
+// レシピの解決だけを受け持ち、所持品は書き換えない (乱数は差し替え可能)
+class Crafting {
+    constructor(itemData, random = Math.random) {
+        this.itemData = itemData;
+        this.random = random;
+        this.recipes = itemData.recipes || [];
+    }
+    
+    getRecipe(id) {
+        return this.recipes.find(recipe => recipe.id === id) || null;
+    }
+    
+    getRarity(id) {
+        const crafted = (this.itemData.craftedItems || {})[id];
+        if (crafted) return crafted;
+        
+        return Object.keys(this.itemData.items).find(rarity => this.itemData.items[rarity].includes(id)) || null;
+    }
+    
+    getRecipeName(recipe) {
+        if (recipe.type === 'upgrade') {
+            return `${t(`rarities.${recipe.rarity}`)}×${recipe.count} → ${t(`rarities.${recipe.result}`)}`;
+        }
+        return t(`items.${recipe.result}.name`);
+    }
+    
+    findDiscoverable(discoveredItems) {
+        // 強化レシピは元のレアリティを1つでも、組み合わせレシピは材料をすべて見つけたら発見
+        return this.recipes.filter(recipe => {
+            if (recipe.type === 'upgrade') {
+                return Object.values(discoveredItems).includes(recipe.rarity);
+            }
+            return Object.keys(recipe.ingredients).every(item => discoveredItems[item]);
+        });
+    }
+    
+    selectIngredients(recipe, inventory) {
+        if (recipe.type === 'combine') {
+            const enough = Object.entries(recipe.ingredients).every(([item, count]) => (inventory[item] || 0) >= count);
+            return enough ? { ...recipe.ingredients } : null;
+        }
+        
+        // 強化は図鑑用に1個ずつ残し、ダブりの多いものから使う (同数ならアイテム一覧の順)
+        const items = this.itemData.items[recipe.rarity] || [];
+        const spares = items
+            .map((item, index) => ({ item, index, spare: (inventory[item] || 0) - 1 }))
+            .filter(({ spare }) => spare > 0)
+            .sort((a, b) => b.spare - a.spare || a.index - b.index);
+        
+        const consumed = {};
+        let remaining = recipe.count;
+        for (const { item, spare } of spares) {
+            if (remaining === 0) break;
+            const used = Math.min(spare, remaining);
+            consumed[item] = used;
+            remaining -= used;
+        }
+        return remaining === 0 ? consumed : null;
+    }
+    
+    canCraft(recipe, inventory) {
+        return this.selectIngredients(recipe, inventory) !== null;
+    }
+    
+    resolve(recipe, inventory) {
+        const consumed = this.selectIngredients(recipe, inventory);
+        if (!consumed) return null;
+        
+        if (recipe.type === 'upgrade') {
+            const candidates = this.itemData.items[recipe.result];
+            const id = candidates[Math.floor(this.random() * candidates.length)];
+            return { consumed, item: { id, rarity: recipe.result } };
+        }
+        return { consumed, item: { id: recipe.result, rarity: this.getRarity(recipe.result) } };
+    }
+}
+
+// ========================================
+// 成長バランス
+// ========================================
+// レベルごとの必要経験値、ドロップ率ボーナス、天井 (items.json の leveling)
+class Progression {
+    constructor({ baseExp = 100, growth = 1.06, dropBonus = {}, pity = {} } = {}) {
+        this.baseExp = baseExp;
+        this.growth = growth;
+        this.dropBonusConfig = { max: 10, halfLevel: 20, ...dropBonus };
+        this.pity = { rarity: 'epic', boxes: 30, ...pity };
+        this.RARITIES = ['common', 'rare', 'epic', 'legendary'];
+    }
+    
+    // レベル → 次のレベルまでに必要な経験値
+    expToNext(level) {
+        return Math.round(this.baseExp * Math.pow(this.growth, level - 1));
+    }
+    
+    // レベル1からそのレベルに到達するまでの累計経験値
+    totalExpFor(level) {
+        let total = 0;
+        for (let current = 1; current < level; current++) {
+            total += this.expToNext(current);
+        }
+        return total;
+    }
+    
+    getProgress(exp) {
+        let level = 1;
+        let remaining = exp;
+        while (remaining >= this.expToNext(level)) {
+            remaining -= this.expToNext(level);
+            level++;
+        }
+        return { level, current: remaining, next: this.expToNext(level) };
+    }
+    
+    // レベルが上がるほど伸びが鈍り、max (百分率) に近づく
+    dropBonus(level) {
+        const { max, halfLevel } = this.dropBonusConfig;
+        const steps = Math.max(0, level - 1);
+        return max * steps / (steps + halfLevel);
+    }
+    
+    isPityRarity(rarity) {
+        return this.RARITIES.indexOf(rarity) >= this.RARITIES.indexOf(this.pity.rarity);
+    }
+}
+
+// ========================================
+// バランスシミュレーション
+// ========================================
+// 画面なしで仮想のポモドーロを回し、items.json の調整材料を集める (simulate.js から使う)
+class BalanceSimulator {
+    constructor(itemData) {
+        this.itemData = itemData;
+    }
+    
+    simulate({ pomodoros = 500, level = 1, seed = 1 } = {}) {
+        const progression = new Progression(this.itemData.leveling);
+        const gameSystem = new GameSystem({ random: createRandom(seed), itemData: this.itemData, headless: true });
+        
+        const { playerData } = gameSystem;
+        playerData.level = level;
+        playerData.exp = progression.totalExpFor(level);
+        
+        const catalog = gameSystem.getAllItems().filter(item => !(this.itemData.craftedItems || {})[item.id]);
+        const rarityCounts = { common: 0, rare: 0, epic: 0, legendary: 0 };
+        const levelUps = [];
+        let catalogCompletedAt = null;
+        // ボスを倒した階では報酬の箱も開くので、5 × ポモドーロ数より多くなる
+        let boxesOpened = 0;
+        
+        for (let count = 1; count <= pomodoros; count++) {
+            // 25分間の探索で見つかる箱は5個
+            for (let box = 0; box < 5; box++) {
+                gameSystem.addItemBox();
+            }
+            const result = gameSystem.openBoxes();
+            gameSystem.itemBoxes = [];
+            
+            boxesOpened += result.foundItems.length;
+            result.foundItems.forEach(item => rarityCounts[item.rarity]++);
+            if (result.leveledUp) levelUps.push({ pomodoro: count, level: playerData.level });
+            if (catalogCompletedAt === null && catalog.every(item => playerData.discoveredItems[item.id])) {
+                catalogCompletedAt = count;
+            }
+        }
+        
+        const rarityRates = {};
+        Object.entries(rarityCounts).forEach(([rarity, count]) => {
+            rarityRates[rarity] = boxesOpened > 0 ? count / boxesOpened : 0;
+        });
+        
+        return {
+            startLevel: level,
+            endLevel: playerData.level,
+            floor: playerData.dungeon.floor,
+            boxesOpened,
+            rarityCounts,
+            rarityRates,
+            levelUps,
+            catalogCompletedAt
+        };
+    }
+}
+
+// ========================================
+// タブシステム
+// ========================================
+class TabSystem {
+    constructor({ gameSystem, achievements, statsDashboard, onAppearanceChange }) {
+        this.gameSystem = gameSystem;
+        this.achievements = achievements;
+        this.statsDashboard = statsDashboard;
+        this.onAppearanceChange = onAppearanceChange;
+        this.currentTab = 'tasks';
+        this.init();
+    }
+    
+    init() {
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.switchTab(e.target.dataset.tab);
+            });
+        });
+        document.getElementById('tabNavigation').addEventListener('keydown', (e) => this.handleTabKeydown(e));
+        
+        document.querySelectorAll('.rarity-filter').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.setRarityFilter(e.target.dataset.rarity);
+            });
+        });
+        
+        document.getElementById('recipeList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-recipe]');
+            if (button) this.craftItem(button.dataset.recipe);
+        });
+        
+        document.getElementById('itemGrid').addEventListener('click', (e) => this.handleEquipAction(e));
+        document.getElementById('equipmentSlots').addEventListener('click', (e) => this.handleEquipAction(e));
+    }
+    
+    switchTab(tabName) {
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            const isActive = btn.dataset.tab === tabName;
+            btn.style.backgroundColor = isActive ? '#73cac6' : '#DDD';
+            btn.style.color = isActive ? 'white' : '#666';
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-selected', String(isActive));
+            // Tab キーで止まるのは選択中のタブだけ。ほかのタブへは矢印キーで移る
+            btn.tabIndex = isActive ? 0 : -1;
+        });
+        
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            panel.style.display = 'none';
+        });
+        
+        const targetPanel = document.getElementById(`${tabName}Tab`);
+        if (targetPanel) {
+            targetPanel.style.display = 'block';
+        }
+        
+        this.currentTab = tabName;
+        
+        if (tabName === 'items') {
+            this.updateItemCatalog();
+        } else if (tabName === 'achievements') {
+            this.achievements.render();
+        } else if (tabName === 'stats') {
+            this.updateStats();
+        }
+    }
+    
+    // 左右の矢印キーで隣のタブへ、Home / End で端のタブへ移る
+    handleTabKeydown(e) {
+        const tabs = [...document.querySelectorAll('.tab-btn')];
+        const current = tabs.findIndex(tab => tab.dataset.tab === this.currentTab);
+        const targets = {
+            ArrowLeft: (current - 1 + tabs.length) % tabs.length,
+            ArrowRight: (current + 1) % tabs.length,
+            Home: 0,
+            End: tabs.length - 1
+        };
+        if (!(e.key in targets)) return;
+        
+        e.preventDefault();
+        const tab = tabs[targets[e.key]];
+        this.switchTab(tab.dataset.tab);
+        tab.focus();
+    }
+    
+    setRarityFilter(rarity) {
+        document.querySelectorAll('.rarity-filter').forEach(btn => {
+            const isActive = btn.dataset.rarity === rarity;
+            btn.style.backgroundColor = isActive ? '#f0f0f0' : 'white';
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+        
+        document.querySelectorAll('.item-card').forEach(card => {
+            card.style.display = (rarity === 'all' || card.dataset.rarity === rarity) ? 'block' : 'none';
+        });
+    }
+    
+    updateItemCatalog() {
+        const { gameSystem } = this;
+        const itemGrid = document.getElementById('itemGrid');
+        const completionRate = document.getElementById('completionRate');
+        
+        if (!gameSystem.itemData) {
+            itemGrid.innerHTML = `<div>${escapeHTML(t('catalog.loading'))}</div>`;
+            return;
+        }
+        
+        const allItems = gameSystem.getAllItems();
+        
+        // 図鑑の達成率にはレシピの発見も含める
+        const recipes = gameSystem.itemData.recipes || [];
+        const discoveredCount = allItems.filter(({ id }) => gameSystem.playerData.discoveredItems[id]).length
+            + recipes.filter(recipe => gameSystem.playerData.discoveredRecipes[recipe.id]).length;
+        const totalCount = allItems.length + recipes.length;
+        const percentage = totalCount > 0 ? Math.round((discoveredCount / totalCount) * 100) : 0;
+        
+        completionRate.textContent = `${discoveredCount}/${totalCount} (${percentage}%)`;
+        
+        itemGrid.innerHTML = '';
+        
+        allItems.forEach(({ id, rarity }) => {
+            const isDiscovered = gameSystem.playerData.discoveredItems[id];
+            const count = gameSystem.playerData.inventory[id] || 0;
+            const rarityLabel = gameSystem.renderRarityLabel(rarity);
+            
+            const card = document.createElement('div');
+            card.className = `item-card ${isDiscovered ? 'discovered rarity-pattern' : 'unknown'}`;
+            card.dataset.rarity = rarity;
+            
+            if (isDiscovered) {
+                card.innerHTML = `
+                    <div style="color: ${gameSystem.itemData.rarityColors[rarity]}; font-weight: bold; margin-bottom: 8px;">
+                        ✨ ${escapeHTML(gameSystem.getItemName(id))}${gameSystem.isEquipped(id) ? ` <span title="${escapeHTML(t('catalog.equipped'))}">🎒</span>` : ''}
+                    </div>
+                    <div style="font-size: 0.9em; color: #666; margin-bottom: 5px;">
+                        ${escapeHTML(t('catalog.owned', { count }))}
+                    </div>
+                    <div style="font-size: 0.8em; color: #999; margin-bottom: 8px;">
+                        ${t('catalog.rarity', { rarity: rarityLabel })}
+                    </div>
+                    <div style="font-size: 0.85em; color: #444; line-height: 1.3; font-style: italic;">
+                        ${escapeHTML(gameSystem.getItemDescription(id))}
+                    </div>
+                    ${this.renderEquipButton(id, count)}
+                `;
+                card.style.cssText = 'border: 1px solid #ddd; padding: 12px; border-radius: 8px; background-color: #fafafa;';
+            } else {
+                card.innerHTML = `
+                    <div style="color: #999; font-weight: bold; margin-bottom: 8px;">
+                        ❓ ？？？
+                    </div>
+                    <div style="font-size: 0.9em; color: #ccc; margin-bottom: 5px;">
+                        ${escapeHTML(t('catalog.owned', { count: '?' }))}
+                    </div>
+                    <div style="font-size: 0.8em; color: #ccc; margin-bottom: 8px;">
+                        ${t('catalog.rarity', { rarity: rarityLabel })}
+                    </div>
+                    <div style="font-size: 0.85em; color: #bbb; line-height: 1.3; font-style: italic;">
+                        ${escapeHTML(t('catalog.undiscovered'))}
+                    </div>
+                `;
+                card.style.cssText = 'border: 1px dashed #ccc; padding: 12px; border-radius: 8px; background-color: #f9f9f9; opacity: 0.7;';
+            }
+            
+            itemGrid.appendChild(card);
+        });
+        
+        this.updateEquipmentPanel();
+        this.updateCraftingList();
+    }
+    
+    renderEquipButton(id, count) {
+        const definition = this.gameSystem.getEquipmentData().items[id];
+        if (!definition || count === 0 || this.gameSystem.isEquipped(id)) return '';
+        
+        return `
+            <div style="font-size: 0.8em; color: #4169E1; margin-top: 8px;">🎒 ${escapeHTML(this.gameSystem.describeEquipment(id))}</div>
+            <button class="equip-btn" data-equip="${escapeHTML(id)}">${escapeHTML(t('catalog.equip'))}</button>
+        `;
+    }
+    
+    updateEquipmentPanel() {
+        const { gameSystem } = this;
+        const { slots } = gameSystem.getEquipmentData();
+        const { equipment } = gameSystem.playerData;
+        
+        document.getElementById('equipmentSlots').innerHTML = slots.map(slot => {
+            const id = equipment[slot];
+            const detail = id
+                ? `<strong>${escapeHTML(gameSystem.getItemName(id))}</strong><div style="font-size: 0.8em; color: #666;">${escapeHTML(gameSystem.describeEquipment(id))}</div>
+                   <button class="equip-btn" data-unequip="${slot}">${escapeHTML(t('catalog.unequip'))}</button>`
+                : `<span style="color: #999;">${escapeHTML(t('catalog.emptySlot'))}</span>`;
+            return `<div class="equipment-slot"><div style="font-size: 0.8em; color: #999;">${escapeHTML(t(`slots.${slot}`))}</div>${detail}</div>`;
+        }).join('');
+    }
+    
+    handleEquipAction(e) {
+        const button = e.target.closest('[data-equip], [data-unequip]');
+        if (!button) return;
+        
+        if (button.dataset.equip) {
+            this.gameSystem.equip(button.dataset.equip);
+        } else {
+            this.gameSystem.unequip(button.dataset.unequip);
+        }
+        this.onAppearanceChange();
+        this.updateItemCatalog();
+    }
+    
+    updateCraftingList() {
+        const { gameSystem } = this;
+        const list = document.getElementById('recipeList');
+        if (!gameSystem.crafting) return;
+        
+        const { inventory, discoveredRecipes } = gameSystem.playerData;
+        
+        list.innerHTML = gameSystem.crafting.recipes.map(recipe => {
+            if (!discoveredRecipes[recipe.id]) {
+                return `<div class="recipe-card unknown">${escapeHTML(t('catalog.unknownRecipe'))}</div>`;
+            }
+            
+            const ingredients = recipe.type === 'upgrade'
+                ? escapeHTML(t('catalog.duplicates', { rarity: gameSystem.getRarityName(recipe.rarity), count: recipe.count }))
+                : Object.entries(recipe.ingredients)
+                    .map(([item, count]) => `${escapeHTML(gameSystem.getItemName(item))} ×${count} (${inventory[item] || 0})`)
+                    .join(' + ');
+            const craftable = gameSystem.crafting.canCraft(recipe, inventory);
+            
+            return `
+                <div class="recipe-card">
+                    <div style="font-weight: bold;">📜 ${escapeHTML(gameSystem.crafting.getRecipeName(recipe))}</div>
+                    <div style="font-size: 0.85em; color: #666;">${ingredients}</div>
+                    <button data-recipe="${recipe.id}" ${craftable ? '' : 'disabled'}>${escapeHTML(t('catalog.craft'))}</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    craftItem(recipeId) {
+        const { gameSystem } = this;
+        const result = gameSystem.craft(recipeId);
+        if (!result) return;
+        
+        const { id, rarity } = result.item;
+        const craftResult = document.getElementById('craftResult');
+        const item = `<span style="color: ${gameSystem.itemData.rarityColors[rarity]}; font-weight: bold;">${escapeHTML(gameSystem.getItemName(id))}</span> (${gameSystem.renderRarityLabel(rarity)})`;
+        craftResult.innerHTML = t('catalog.crafted', { item });
+        
+        gameSystem.updateDisplay();
+        this.onAppearanceChange();
+        this.updateItemCatalog();
+    }
+    
+    updateStats() {
+        const { gameSystem } = this;
+        
+        document.getElementById('totalPomodorosStat').textContent = gameSystem.playerData.totalPomodoros;
+        document.getElementById('currentLevelStat').textContent = gameSystem.playerData.level;
+        document.getElementById('totalItemsStat').textContent = gameSystem.playerData.totalItems;
+        
+        const floorInfo = gameSystem.getFloorInfo();
+        document.getElementById('dungeonFloorStat').textContent = `${floorInfo.floor}F`;
+        document.getElementById('dungeonThemeStat').textContent = gameSystem.getDungeonStatus();
+        
+        this.statsDashboard.render();
+        
+        const rarityStats = document.getElementById('rarityStats');
+        const rarityCount = { common: 0, rare: 0, epic: 0, legendary: 0 };
+        
+        Object.entries(gameSystem.playerData.inventory).forEach(([item, count]) => {
+            const rarity = gameSystem.playerData.discoveredItems[item];
+            if (rarity && rarityCount[rarity] !== undefined) {
+                rarityCount[rarity] += count;
             }
+        });
+        
+        if (!gameSystem.itemData) {
+            rarityStats.innerHTML = `<div>${escapeHTML(t('stats.loading'))}</div>`;
+            return;
+        }
+        
+        rarityStats.innerHTML = Object.entries(rarityCount).map(([rarity, count]) => `
+            <div class="rarity-pattern" data-rarity="${rarity}" style="border: 1px solid ${gameSystem.itemData.rarityColors[rarity]}; padding: 10px; border-radius: 5px; text-align: center;">
+                <div style="font-size: 1.5em; font-weight: bold; color: ${gameSystem.itemData.rarityColors[rarity]};">${count}</div>
+                <div style="color: #666; font-size: 0.9em;">${gameSystem.renderRarityLabel(rarity)}</div>
+            </div>
+        `).join('');
+    }
+}
+
+// ========================================
+// 目標管理システム
+// ========================================
+class GoalTracker {
+    constructor(taskManager, settings, getTaskName) {
+        this.taskManager = taskManager;
+        this.settings = settings;
+        this.getTaskName = getTaskName;
+        this.RING_LENGTHS = { daily: 2 * Math.PI * 26, weekly: 2 * Math.PI * 18 };
+        
+        // 日付キー → { total, tasks: { タスクID: 回数 } } (今週分のみ)
+        this.counts = {};
+        
+        this.upgradeTaskGoals();
+        this.bindEvents();
+        this.renderTaskGoals();
+        this.ready = this.refresh();
+    }
+    
+    bindEvents() {
+        document.getElementById('addTaskGoalBtn').addEventListener('click', () => this.addTaskGoal());
+        document.getElementById('taskInput').addEventListener('change', () => this.render());
+        // 日付が変わった後に開き直したときのため
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.render();
+        });
+    }
+    
+    async refresh() {
+        await this.taskManager.ready;
+        
+        try {
+            const weekStart = startOfWeek(new Date());
+            const records = await this.taskManager.history.getRange(weekStart.toISOString(), addDays(weekStart, 7).toISOString());
+            
+            this.counts = {};
+            records.filter(r => !r.interrupted).forEach(r => {
+                this.addCount(r.taskId, new Date(r.timestamp));
+            });
+        } catch (error) {
+            console.error('目標の進捗を読み込めませんでした:', error);
+        }
+        
+        this.render();
+    }
+    
+    addCount(taskId, date) {
+        const key = toDateKey(date);
+        if (!this.counts[key]) this.counts[key] = { total: 0, tasks: {} };
+        
+        this.counts[key].total++;
+        this.counts[key].tasks[taskId] = (this.counts[key].tasks[taskId] || 0) + 1;
+    }
+    
+    // 入力中のタスク (まだ一度も記録していない名前なら null)
+    getCurrentTask() {
+        return this.taskManager.findTask(this.getTaskName());
+    }
+    
+    getProgress(taskId, today = new Date()) {
+        const todayCounts = this.counts[toDateKey(today)] || { total: 0, tasks: {} };
+        
+        let week = 0;
+        for (let day = startOfWeek(today); day <= today; day = addDays(day, 1)) {
+            week += (this.counts[toDateKey(day)] || { total: 0 }).total;
+        }
+        
+        return { daily: todayCounts.total, weekly: week, task: todayCounts.tasks[taskId] || 0 };
+    }
+    
+    getGoals(taskId) {
+        return {
+            daily: this.settings.get('dailyGoal'),
+            weekly: this.settings.get('weeklyGoal'),
+            task: this.settings.get('taskGoals')[taskId] || 0
+        };
+    }
+    
+    recordCompletion(taskId, date = new Date()) {
+        const goals = this.getGoals(taskId);
+        const before = this.getProgress(taskId, date);
+        this.addCount(taskId, date);
+        const after = this.getProgress(taskId, date);
+        this.render();
+        
+        // 今回のポモドーロでちょうど目標に届いたものだけを返す
+        const reached = (key) => goals[key] > 0 && before[key] < goals[key] && after[key] >= goals[key];
+        return { daily: reached('daily'), weekly: reached('weekly'), task: reached('task') };
+    }
+    
+    render() {
+        const task = this.getCurrentTask();
+        const goals = this.getGoals(task && task.id);
+        const progress = this.getProgress(task && task.id);
+        
+        this.setRing('dailyGoalRing', progress.daily, goals.daily, this.RING_LENGTHS.daily);
+        this.setRing('weeklyGoalRing', progress.weekly, goals.weekly, this.RING_LENGTHS.weekly);
+        
+        document.getElementById('goalRingText').textContent = goals.daily > 0
+            ? `${progress.daily}/${goals.daily}`
+            : progress.daily;
+        
+        const lines = [t('goals.today', { progress: `${progress.daily}${goals.daily > 0 ? `/${goals.daily}` : ''}` })];
+        lines.push(t('goals.week', { progress: `${progress.weekly}${goals.weekly > 0 ? `/${goals.weekly}` : ''}` }));
+        if (goals.task > 0) {
+            lines.push(`${formatTaskName(task.name)}: ${progress.task}/${goals.task}`);
         }
+        document.getElementById('goalProgress').title = lines.join('\n');
+        document.getElementById('taskGoalText').textContent = goals.task > 0 ? `📌 ${progress.task}/${goals.task}` : '';
+    }
+    
+    setRing(id, value, goal, length) {
+        const ratio = goal > 0 ? Math.min(1, value / goal) : 0;
+        const ring = document.getElementById(id);
+        ring.setAttribute('stroke-dasharray', length);
+        ring.setAttribute('stroke-dashoffset', length * (1 - ratio));
+    }
+    
+    celebrate() {
+        const progress = document.getElementById('goalProgress');
+        progress.classList.remove('goal-met');
+        // アニメーションを再生し直すためにリフローさせる
+        void progress.offsetWidth;
+        progress.classList.add('goal-met');
+    }
+    
+    // ========================================
+    // タスク別の目標
+    // ========================================
+    // タスク名で以前に保存していた目標を、タスクIDに付け替える (設定の v1 → v2 で legacyTaskGoals に移してある)
+    upgradeTaskGoals() {
+        const legacyTaskGoals = this.settings.get('legacyTaskGoals');
+        if (!legacyTaskGoals) return;
+        
+        const taskGoals = { ...this.settings.get('taskGoals') };
+        Object.entries(legacyTaskGoals).forEach(([taskName, count]) => {
+            taskGoals[this.taskManager.resolveTask(taskName).id] = count;
+        });
+        this.settings.set('taskGoals', taskGoals);
+        // ほかのタブにも消したことが伝わるよう、削除ではなく null にする
+        this.settings.set('legacyTaskGoals', null);
+    }
+    
+    addTaskGoal() {
+        const nameInput = document.getElementById('taskGoalName');
+        const countInput = document.getElementById('taskGoalCount');
+        const taskName = nameInput.value.trim();
+        const count = Math.max(1, Math.min(50, parseInt(countInput.value) || 1));
+        
+        if (!taskName) return;
+        
+        // まだ記録のない名前でも目標を立てられるよう、タスクがなければ作る
+        const task = this.taskManager.resolveTask(taskName);
+        this.settings.set('taskGoals', { ...this.settings.get('taskGoals'), [task.id]: count });
+        nameInput.value = '';
+        this.renderTaskGoals();
+        this.render();
+    }
+    
+    removeTaskGoal(taskId) {
+        const taskGoals = { ...this.settings.get('taskGoals') };
+        delete taskGoals[taskId];
+        this.settings.set('taskGoals', taskGoals);
+        this.renderTaskGoals();
+        this.render();
+    }
+    
+    renderTaskGoals() {
+        const list = document.getElementById('taskGoalList');
+        list.innerHTML = '';
+        
+        Object.entries(this.settings.get('taskGoals')).forEach(([taskId, count]) => {
+            const task = this.taskManager.getTask(taskId);
+            const item = document.createElement('li');
+            item.textContent = t('goals.perDay', { task: task ? formatTaskName(task.name) : taskId, count });
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = t('goals.remove');
+            removeBtn.style.cssText = 'min-height: auto; padding: 2px 8px;';
+            removeBtn.addEventListener('click', () => this.removeTaskGoal(taskId));
+            
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
     }
 }
 
 // ========================================
-// タブシステム
+// 統計ダッシュボード
 // ========================================
-class TabSystem {
-    constructor() {
-        this.currentTab = 'tasks';
-        this.init();
+class StatsDashboard {
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.period = 'day';
+        this.HEATMAP_COLORS = ['#ebedf0', '#c5ebe9', '#9cdbd7', '#73cac6', '#3f9a96'];
+        // 集計結果。全履歴を読むのは最初と履歴を編集したときだけで、以降の完了は addCompletion で足していく
+        this.countsPromise = null;
+        
+        document.getElementById('periodSelect').addEventListener('change', (e) => {
+            this.period = e.target.value;
+            this.render();
+        });
     }
     
-    init() {
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.switchTab(e.target.dataset.tab);
-            });
-        });
+    async render() {
+        let summary;
+        try {
+            summary = await this.getSummary();
+        } catch (error) {
+            console.error('統計用の履歴を読み込めませんでした:', error);
+            return;
+        }
         
-        document.querySelectorAll('.rarity-filter').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.setRarityFilter(e.target.dataset.rarity);
+        this.renderStreaks(summary.streaks);
+        document.getElementById('calendarHeatmap').innerHTML = this.renderHeatmap(summary.byDay, 'calendarTitle');
+        document.getElementById('periodChart').innerHTML = this.renderBarChart(this.getPeriodBuckets(summary.byDay), 'trendTitle');
+        document.getElementById('hourChart').innerHTML = this.renderBarChart(
+            summary.byHour.map((value, hour) => ({ label: hour % 3 === 0 ? t('stats.hour', { hour }) : '', title: t('stats.hourRange', { hour }), value })),
+            'byHourTitle'
+        );
+        document.getElementById('taskBreakdown').innerHTML = this.renderTaskBreakdown(summary.byTask);
+    }
+    
+    // ========================================
+    // 集計
+    // ========================================
+    async getSummary() {
+        if (!this.countsPromise) {
+            const loading = this.taskManager.history.getAll().then(completions => this.summarize(completions));
+            // 読み込みに失敗したら、次に呼ばれたときに読み直す
+            loading.catch(() => {
+                if (this.countsPromise === loading) this.countsPromise = null;
             });
-        });
+            this.countsPromise = loading;
+        }
+        
+        const counts = await this.countsPromise;
+        return { ...counts, streaks: this.calculateStreaks(counts.byDay) };
     }
     
-    switchTab(tabName) {
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            const isActive = btn.dataset.tab === tabName;
-            btn.style.backgroundColor = isActive ? '#73cac6' : '#DDD';
-            btn.style.color = isActive ? 'white' : '#666';
-            btn.classList.toggle('active', isActive);
+    // 新しく完了した記録を集計に足す (まだ読み込んでいなければ、読み込むときに数えられる)
+    addCompletion(completion) {
+        if (!this.countsPromise) return;
+        this.countsPromise = this.countsPromise.then(counts => {
+            this.count(counts, completion);
+            return counts;
         });
+    }
+    
+    // 履歴を編集・取り込みしたら、次に使うときに全体を読み直す
+    invalidate() {
+        this.countsPromise = null;
+    }
+    
+    summarize(completions) {
+        const counts = { byDay: {}, byHour: new Array(24).fill(0), byTask: {}, ids: new Set() };
+        completions.forEach(completion => this.count(counts, completion));
+        return counts;
+    }
+    
+    count({ byDay, byHour, byTask, ids }, completion) {
+        // 中断したセッションは数えない。読み込みと追加の両方に入った記録は一度だけ数える
+        if (completion.interrupted || ids.has(completion.id)) return;
+        ids.add(completion.id);
         
-        document.querySelectorAll('.tab-panel').forEach(panel => {
-            panel.style.display = 'none';
+        const date = new Date(completion.timestamp);
+        const key = toDateKey(date);
+        byDay[key] = (byDay[key] || 0) + 1;
+        byHour[date.getHours()]++;
+        // 改名に追従できるよう、タスクは ID で数えて表示するときに名前にする
+        const taskKey = completion.taskId || completion.taskName;
+        byTask[taskKey] = (byTask[taskKey] || 0) + completion.duration;
+    }
+    
+    calculateStreaks(byDay, today = new Date()) {
+        const keys = Object.keys(byDay).sort();
+        
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        keys.forEach(key => {
+            run = previous && toDateKey(addDays(fromDateKey(previous), 1)) === key ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = key;
         });
         
-        const targetPanel = document.getElementById(`${tabName}Tab`);
-        if (targetPanel) {
-            targetPanel.style.display = 'block';
+        // 今日がまだ0回でも、昨日まで続いていれば連続記録は途切れていない
+        let current = 0;
+        let day = byDay[toDateKey(today)] ? today : addDays(today, -1);
+        while (byDay[toDateKey(day)]) {
+            current++;
+            day = addDays(day, -1);
         }
         
-        this.currentTab = tabName;
+        return { current, longest };
+    }
+    
+    getPeriodBuckets(byDay, today = new Date()) {
+        const sum = (from, to) => {
+            let total = 0;
+            for (let day = from; day < to; day = addDays(day, 1)) {
+                total += byDay[toDateKey(day)] || 0;
+            }
+            return total;
+        };
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
         
-        if (tabName === 'items') {
-            this.updateItemCatalog();
-        } else if (tabName === 'stats') {
-            this.updateStats();
+        if (this.period === 'week') {
+            // 月曜始まり
+            const monday = startOfWeek(start);
+            return Array.from({ length: 12 }, (_, i) => {
+                const from = addDays(monday, (i - 11) * 7);
+                const label = i18n.formatDate(from, { month: 'numeric', day: 'numeric' });
+                return { label, title: t('stats.weekOf', { date: label }), value: sum(from, addDays(from, 7)) };
+            });
+        }
+        
+        if (this.period === 'month') {
+            return Array.from({ length: 12 }, (_, i) => {
+                const from = new Date(start.getFullYear(), start.getMonth() + i - 11, 1);
+                const to = new Date(from.getFullYear(), from.getMonth() + 1, 1);
+                return {
+                    label: i18n.formatDate(from, { month: 'short' }),
+                    title: i18n.formatDate(from, { year: 'numeric', month: 'long' }),
+                    value: sum(from, to)
+                };
+            });
         }
+        
+        return Array.from({ length: 14 }, (_, i) => {
+            const day = addDays(start, i - 13);
+            const label = i18n.formatDate(day, { month: 'numeric', day: 'numeric' });
+            return { label, title: label, value: byDay[toDateKey(day)] || 0 };
+        });
     }
     
-    setRarityFilter(rarity) {
-        document.querySelectorAll('.rarity-filter').forEach(btn => {
-            const isActive = btn.dataset.rarity === rarity;
-            btn.style.backgroundColor = isActive ? '#f0f0f0' : 'white';
-            btn.classList.toggle('active', isActive);
-        });
+    // ========================================
+    // 描画
+    // ========================================
+    renderStreaks({ current, longest }) {
+        document.getElementById('currentStreakStat').textContent = t('stats.days', { count: current });
+        document.getElementById('longestStreakStat').textContent = t('stats.days', { count: longest });
+    }
+    
+    // labelledBy: グラフの名前として読み上げる見出しの id
+    renderBarChart(buckets, labelledBy) {
+        const width = 480;
+        const height = 160;
+        const labelHeight = 18;
+        const max = Math.max(1, ...buckets.map(b => b.value));
+        const slot = width / buckets.length;
+        const barWidth = Math.max(2, slot * 0.7);
         
-        document.querySelectorAll('.item-card').forEach(card => {
-            card.style.display = (rarity === 'all' || card.dataset.rarity === rarity) ? 'block' : 'none';
+        const bars = buckets.map((bucket, i) => {
+            const barHeight = (bucket.value / max) * (height - labelHeight - 14);
+            const x = i * slot + (slot - barWidth) / 2;
+            const y = height - labelHeight - barHeight;
+            return `
+                <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="#73cac6" rx="2">
+                    <title>${escapeHTML(bucket.title)}: ${escapeHTML(t('stats.count', { count: bucket.value }))}</title>
+                </rect>
+                ${bucket.value > 0 ? `<text x="${x + barWidth / 2}" y="${y - 3}" font-size="10" text-anchor="middle" fill="#666">${bucket.value}</text>` : ''}
+                <text x="${x + barWidth / 2}" y="${height - 4}" font-size="10" text-anchor="middle" fill="#999">${escapeHTML(bucket.label)}</text>
+            `;
+        }).join('');
+        
+        return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-labelledby="${labelledBy}">${bars}</svg>`;
+    }
+    
+    renderHeatmap(byDay, labelledBy, today = new Date()) {
+        const cell = 11;
+        const gap = 2;
+        const weeks = 53;
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        // 日曜始まりの列にそろえる
+        const firstDay = addDays(start, -((weeks - 1) * 7 + start.getDay()));
+        
+        const cells = [];
+        for (let day = firstDay, i = 0; day <= start; day = addDays(day, 1), i++) {
+            const count = byDay[toDateKey(day)] || 0;
+            const level = count === 0 ? 0 : Math.min(4, Math.ceil(count / 2));
+            const x = Math.floor(i / 7) * (cell + gap);
+            const y = day.getDay() * (cell + gap);
+            cells.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="2" fill="${this.HEATMAP_COLORS[level]}"><title>${escapeHTML(i18n.formatDate(day))}: ${escapeHTML(t('stats.count', { count }))}</title></rect>`);
+        }
+        
+        const width = weeks * (cell + gap);
+        const height = 7 * (cell + gap);
+        return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-labelledby="${labelledBy}">${cells.join('')}</svg>`;
+    }
+    
+    renderTaskBreakdown(byTask) {
+        // 現在のタスク名でまとめる (同じ名前のタスクは合わせる)
+        const byName = {};
+        Object.entries(byTask).forEach(([key, seconds]) => {
+            const task = this.taskManager.getTask(key);
+            const name = formatTaskName(task ? task.name : normalizeTaskName(key));
+            byName[name] = (byName[name] || 0) + seconds;
         });
+        
+        const entries = Object.entries(byName).sort((a, b) => b[1] - a[1]);
+        if (entries.length === 0) {
+            return `<div style="color: #999;">${escapeHTML(t('stats.empty'))}</div>`;
+        }
+        
+        const max = entries[0][1];
+        return entries.map(([taskName, seconds]) => `
+            <div style="margin-bottom: 6px;">
+                <div style="display: flex; justify-content: space-between; font-size: 0.9em;">
+                    <span>${escapeHTML(taskName)}</span>
+                    <span style="color: #666;">${this.formatDuration(seconds)}</span>
+                </div>
+                <div style="background-color: #eee; height: 8px; border-radius: 4px;">
+                    <div style="background-color: #73cac6; height: 100%; border-radius: 4px; width: ${(seconds / max) * 100}%;"></div>
+                </div>
+            </div>
+        `).join('');
     }
     
-    updateItemCatalog() {
-        const gameSystem = app.gameSystem;
-        const itemGrid = document.getElementById('itemGrid');
-        const completionRate = document.getElementById('completionRate');
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        return minutes >= 60
+            ? t('stats.hoursMinutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 })
+            : t('stats.minutes', { minutes });
+    }
+}
+
+// ========================================
+// 実績システム
+// ========================================
+class AchievementSystem {
+    constructor(taskManager, gameSystem, statsDashboard) {
+        this.taskManager = taskManager;
+        this.gameSystem = gameSystem;
+        this.statsDashboard = statsDashboard;
         
-        if (!gameSystem.itemData) {
-            itemGrid.innerHTML = '<div>アイテムデータを読み込み中...</div>';
-            return;
+        // 実績ID → 解除日時 (ISO文字列)
+        this.store = new VersionedStore('pomodoroAchievements', {
+            defaults: () => ({ unlocked: {} }),
+            merge: mergeChanges
+        });
+        this.data = this.store.load();
+        // 履歴から判定する条件 (記録の編集で満たさなくなることがある)
+        this.HISTORY_RULES = ['streak', 'dailyPomodoros', 'finishedBetween'];
+        
+        this.ready = this.check();
+    }
+    
+    reload() {
+        this.data = this.store.load();
+        this.render();
+    }
+    
+    getDefinitions() {
+        const { itemData } = this.gameSystem;
+        return (itemData && itemData.achievements) || [];
+    }
+    
+    // revoke: 履歴を編集した後に、履歴から判定する実績で条件を満たさなくなったものを取り消す
+    async check({ revoke = false } = {}) {
+        let summary;
+        try {
+            await Promise.all([this.taskManager.ready, this.gameSystem.ready]);
+            // 履歴は統計と同じ集計を使う (完了のたびに全履歴を読まない)
+            summary = await this.statsDashboard.getSummary();
+        } catch (error) {
+            console.error('実績の判定に失敗しました:', error);
+            return [];
         }
         
-        const allItems = [];
-        Object.entries(gameSystem.itemData.items).forEach(([rarity, items]) => {
-            items.forEach(item => {
-                allItems.push({ name: item, rarity });
-            });
+        const definitions = this.getDefinitions();
+        const context = this.buildContext(summary);
+        const revoked = revoke ? this.findRevoked(definitions, context) : [];
+        revoked.forEach(achievement => {
+            delete this.data.unlocked[achievement.id];
         });
         
-        const discoveredCount = Object.keys(gameSystem.playerData.discoveredItems).length;
-        const totalCount = allItems.length;
-        const percentage = totalCount > 0 ? Math.round((discoveredCount / totalCount) * 100) : 0;
+        const unlocked = this.evaluate(definitions, context);
+        const now = new Date().toISOString();
+        unlocked.forEach(achievement => {
+            this.data.unlocked[achievement.id] = now;
+        });
         
-        completionRate.textContent = `${discoveredCount}/${totalCount} (${percentage}%)`;
+        if (unlocked.length > 0 || revoked.length > 0) this.data = this.store.save(this.data);
+        this.render();
+        return unlocked;
+    }
+    
+    buildContext(summary) {
+        const { playerData, itemData } = this.gameSystem;
+        return {
+            playerData,
+            items: itemData ? itemData.items : {},
+            summary
+        };
+    }
+    
+    // ========================================
+    // 判定
+    // ========================================
+    evaluate(definitions, context) {
+        return definitions.filter(achievement =>
+            !this.data.unlocked[achievement.id] && this.evaluateRule(achievement.rule, context)
+        );
+    }
+    
+    findRevoked(definitions, context) {
+        return definitions.filter(achievement =>
+            this.data.unlocked[achievement.id] &&
+            this.HISTORY_RULES.includes(achievement.rule.type) &&
+            !this.evaluateRule(achievement.rule, context)
+        );
+    }
+    
+    evaluateRule(rule, { playerData, items, summary }) {
+        switch (rule.type) {
+            case 'totalPomodoros':
+                return playerData.totalPomodoros >= rule.count;
+            case 'rarityFound':
+                return Object.values(playerData.discoveredItems).includes(rule.rarity);
+            case 'catalogComplete': {
+                const list = items[rule.rarity] || [];
+                return list.length > 0 && list.every(item => playerData.discoveredItems[item]);
+            }
+            case 'streak':
+                return summary.streaks.longest >= rule.days;
+            case 'dailyPomodoros':
+                return Object.values(summary.byDay).some(count => count >= rule.count);
+            case 'finishedBetween':
+                // 完了時刻が from 時以降 to 時より前
+                return summary.byHour.slice(rule.from, rule.to).some(count => count > 0);
+            case 'level':
+                return playerData.level >= rule.level;
+            case 'floor':
+                return playerData.dungeon.floor >= rule.floor;
+            default:
+                console.warn('未知の実績条件です:', rule.type);
+                return false;
+        }
+    }
+    
+    // ========================================
+    // 表示
+    // ========================================
+    render() {
+        const list = document.getElementById('achievementList');
+        const definitions = this.getDefinitions();
+        const unlockedCount = definitions.filter(achievement => this.data.unlocked[achievement.id]).length;
         
-        itemGrid.innerHTML = '';
+        document.getElementById('achievementCount').textContent = `${unlockedCount}/${definitions.length}`;
         
-        allItems.forEach(({ name, rarity }) => {
-            const isDiscovered = gameSystem.playerData.discoveredItems[name];
-            const count = gameSystem.playerData.inventory[name] || 0;
-            
-            const card = document.createElement('div');
-            card.className = `item-card ${isDiscovered ? 'discovered' : 'unknown'}`;
-            card.dataset.rarity = rarity;
-            
-            if (isDiscovered) {
-                card.innerHTML = `
-                    <div style="color: ${gameSystem.itemData.rarityColors[rarity]}; font-weight: bold; margin-bottom: 8px;">
-                        ✨ ${name}
-                    </div>
-                    <div style="font-size: 0.9em; color: #666; margin-bottom: 5px;">
-                        所持数: ${count}個
-                    </div>
-                    <div style="font-size: 0.8em; color: #999; margin-bottom: 8px;">
-                        レアリティ: ${rarity}
-                    </div>
-                    <div style="font-size: 0.85em; color: #444; line-height: 1.3; font-style: italic;">
-                        ${gameSystem.itemData.descriptions[name]}
+        list.innerHTML = definitions.map(achievement => {
+            const unlockedAt = this.data.unlocked[achievement.id];
+            const name = escapeHTML(t(`achievements.${achievement.id}.name`));
+            const description = escapeHTML(t(`achievements.${achievement.id}.description`));
+            if (!unlockedAt) {
+                return `
+                    <div class="achievement-card locked">
+                        <div class="achievement-icon">🔒</div>
+                        <div>
+                            <div style="font-weight: bold;">${name}</div>
+                            <div style="font-size: 0.85em;">${description}</div>
+                        </div>
                     </div>
                 `;
-                card.style.cssText = 'border: 1px solid #ddd; padding: 12px; border-radius: 8px; background-color: #fafafa;';
-            } else {
-                card.innerHTML = `
-                    <div style="color: #999; font-weight: bold; margin-bottom: 8px;">
-                        ❓ ？？？
-                    </div>
-                    <div style="font-size: 0.9em; color: #ccc; margin-bottom: 5px;">
-                        所持数: ?個
-                    </div>
-                    <div style="font-size: 0.8em; color: #ccc; margin-bottom: 8px;">
-                        レアリティ: ${rarity}
-                    </div>
-                    <div style="font-size: 0.85em; color: #bbb; line-height: 1.3; font-style: italic;">
-                        まだ発見していません...
-                    </div>
-                `;
-                card.style.cssText = 'border: 1px dashed #ccc; padding: 12px; border-radius: 8px; background-color: #f9f9f9; opacity: 0.7;';
             }
             
-            itemGrid.appendChild(card);
+            return `
+                <div class="achievement-card">
+                    <div class="achievement-icon">${achievement.icon}</div>
+                    <div>
+                        <div style="font-weight: bold;">${name}</div>
+                        <div style="font-size: 0.85em; color: #666;">${description}</div>
+                        <div style="font-size: 0.8em; color: #999;">${escapeHTML(t('achievementList.unlockedAt', { date: i18n.formatDateTime(unlockedAt) }))}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+// ========================================
+// ユーティリティ
+// ========================================
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// 週は月曜始まり
+function startOfWeek(date) {
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+// シード付きの乱数 (mulberry32)。同じシードなら同じ列を返す
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 3方向マージ: base から local (このタブ) と stored (ほかのタブ) の両方で変わった部分を合わせる
+// counters: 互いの増減を足し合わせる数値の場所 ('inventory.*' のように . 区切り、* は任意のキー、id つき配列の要素は id)
+function mergeChanges(base, local, stored, counters = [], path = []) {
+    if (isSameData(local, base)) return stored;
+    if (isSameData(stored, base)) return local;
+    
+    // 数えるだけの値 (所持数・経験値など) は互いの増減を足し合わせる。0 になった所持品は消す
+    const isCount = (value) => value === undefined || typeof value === 'number';
+    if (isCounterPath(path, counters) && isCount(base) && isCount(local) && isCount(stored)) {
+        const merged = (stored || 0) + (local || 0) - (base || 0);
+        return merged <= 0 && (local === undefined || stored === undefined) ? undefined : merged;
+    }
+    
+    if (Array.isArray(local) && Array.isArray(stored)) {
+        return mergeLists(Array.isArray(base) ? base : [], local, stored, counters, path);
+    }
+    
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(local) && isObject(stored)) {
+        const baseObject = isObject(base) ? base : {};
+        const merged = {};
+        new Set([...Object.keys(local), ...Object.keys(stored)]).forEach(key => {
+            const value = mergeChanges(baseObject[key], local[key], stored[key], counters, [...path, key]);
+            if (value !== undefined) merged[key] = value;
         });
+        return merged;
     }
     
-    updateStats() {
-        const gameSystem = app.gameSystem;
-        
-        document.getElementById('totalPomodorosStat').textContent = gameSystem.playerData.totalPomodoros;
-        document.getElementById('currentLevelStat').textContent = gameSystem.playerData.level;
-        document.getElementById('totalItemsStat').textContent = gameSystem.playerData.totalItems;
-        
-        const floor = Math.floor(gameSystem.playerData.totalPomodoros / 10) + 1;
-        document.getElementById('dungeonFloorStat').textContent = `${floor}F`;
+    // それ以外の値 (見積もり・階層・日時など) が両方で変わったときは、後から保存するこのタブの変更を優先する
+    return local;
+}
+
+function isCounterPath(path, counters) {
+    return counters.some(counter => {
+        const pattern = counter.split('.');
+        return pattern.length === path.length && pattern.every((segment, i) => segment === '*' || segment === String(path[i]));
+    });
+}
+
+// id を持つ要素の配列 (タスクなど) は要素ごとに合わせる。それ以外はこのタブの内容を採用する
+function mergeLists(base, local, stored, counters, path) {
+    const hasIds = [...local, ...stored].every(item => item && item.id !== undefined);
+    if (!hasIds) return local;
+    
+    const byId = (list) => new Map(list.map(item => [item.id, item]));
+    const baseItems = byId(base);
+    const localItems = byId(local);
+    const storedItems = byId(stored);
+    
+    const merged = local
+        // ほかのタブで削除されたものは除く
+        .filter(item => storedItems.has(item.id) || !baseItems.has(item.id))
+        .map(item => mergeChanges(baseItems.get(item.id), item, storedItems.get(item.id), counters, [...path, item.id]));
+    // ほかのタブで追加されたものを後ろに足す (このタブで削除したものは除く)
+    stored.forEach(item => {
+        if (!localItems.has(item.id) && !baseItems.has(item.id)) merged.push(item);
+    });
+    return merged;
+}
+
+function isSameData(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// あいまい検索: query の文字が順番どおりに含まれていれば一致 (連続して一致するほど、先頭に近いほど高い)
+// ひらがなとカタカナは区別しない
+function fuzzyScore(query, text) {
+    const normalize = (value) => value.toLowerCase()
+        .replace(/[\u30a1-\u30f6]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+    const needle = normalize(query.trim());
+    const haystack = normalize(text);
+    if (!needle) return 0;
+    
+    let score = 0;
+    let position = -1;
+    for (const char of needle) {
+        const found = haystack.indexOf(char, position + 1);
+        if (found === -1) return null;
+        score += found === position + 1 ? 3 : 1;
+        position = found;
+    }
+    return score - haystack.indexOf(needle[0]) / 100;
+}
+
+function t(key, params) {
+    return i18n.t(key, params);
+}
+
+// 名前のないタスクは表示言語によらない空の名前で保存し、表示するときだけ「無題のタスク」にする
+// 以前に保存・書き出しされたどの言語の「無題のタスク」も、名前のないタスクとして扱う
+function normalizeTaskName(name) {
+    name = String(name).trim();
+    return i18n.variants('timer.untitled').includes(name) ? '' : name;
+}
+
+function formatTaskName(name) {
+    return name || t('timer.untitled');
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ========================================
+// モーダル制御
+// ========================================
+// 開いている間は Tab キーのフォーカスを中で巡回させ、閉じたら開く前の場所へ戻す
+class ModalDialog {
+    constructor(element, { background = null, closeButton = null } = {}) {
+        this.element = element;
+        this.background = background;
+        this.returnFocus = null;
         
-        const rarityStats = document.getElementById('rarityStats');
-        const rarityCount = { common: 0, rare: 0, epic: 0, legendary: 0 };
+        element.addEventListener('keydown', (e) => this.handleKeydown(e));
+        if (closeButton) closeButton.addEventListener('click', () => this.close());
+    }
+    
+    isOpen() {
+        return this.element.style.display === 'block';
+    }
+    
+    open() {
+        if (!this.isOpen()) this.returnFocus = document.activeElement;
+        this.element.style.display = 'block';
+        if (this.background) this.background.style.display = 'block';
         
-        Object.entries(gameSystem.playerData.inventory).forEach(([item, count]) => {
-            const rarity = gameSystem.playerData.discoveredItems[item];
-            if (rarity && rarityCount[rarity] !== undefined) {
-                rarityCount[rarity] += count;
-            }
-        });
+        const [first] = this.getFocusable();
+        if (first) first.focus();
+    }
+    
+    close() {
+        if (!this.isOpen()) return;
+        this.element.style.display = 'none';
+        if (this.background) this.background.style.display = 'none';
         
-        if (!gameSystem.itemData) {
-            rarityStats.innerHTML = '<div>データを読み込み中...</div>';
+        if (this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+    
+    getFocusable() {
+        return [...this.element.querySelectorAll('button, input, select, textarea, [href], [tabindex]:not([tabindex="-1"])')]
+            .filter(element => !element.disabled);
+    }
+    
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
             return;
         }
+        if (e.key !== 'Tab') return;
         
-        rarityStats.innerHTML = Object.entries(rarityCount).map(([rarity, count]) => `
-            <div style="border: 1px solid ${gameSystem.itemData.rarityColors[rarity]}; padding: 10px; border-radius: 5px; text-align: center;">
-                <div style="font-size: 1.5em; font-weight: bold; color: ${gameSystem.itemData.rarityColors[rarity]};">${count}</div>
-                <div style="color: #666; font-size: 0.9em;">${rarity}</div>
-            </div>
-        `).join('');
+        const focusable = this.getFocusable();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey ? document.activeElement === first : document.activeElement === last) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        }
     }
 }
 
-// ========================================
-// モーダル制御
-// ========================================
-function closeResultModal() {
-    document.getElementById('resultModal').style.display = 'none';
-    document.getElementById('modalBackground').style.display = 'none';
-}
-
 // ========================================
 // アプリケーション初期化
 // ========================================
-const app = new PomodoroApp();
-const tabSystem = new TabSystem();
+const i18n = new I18n(typeof LOCALES !== 'undefined' ? LOCALES : {});
+// simulate.js から読み込まれたとき (画面なし) は起動しない
+const app = typeof document !== 'undefined' ? new PomodoroApp() : null;
@@ -0,0 +1,57 @@
+// ポモドーロのバランスシミュレーション
+// 使い方: node simulate.js [--pomodoros 500] [--levels 1,10,30] [--seed 1]
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function parseArgs(argv) {
+    const options = { pomodoros: 500, levels: [1], seed: 1 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--pomodoros':
+                options.pomodoros = parseInt(value);
+                break;
+            case '--levels':
+                options.levels = value.split(',').map(Number);
+                break;
+            case '--seed':
+                options.seed = parseInt(value);
+                break;
+            default:
+                throw new Error(`不明なオプションです: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+function formatPercent(rate) {
+    return `${(rate * 100).toFixed(2)}%`;
+}
+
+// script.js のクラス群を画面なしで読み込む
+const context = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'script.js'), 'utf8'), context);
+const BalanceSimulator = vm.runInContext('BalanceSimulator', context);
+
+const itemData = JSON.parse(fs.readFileSync(path.join(__dirname, 'items.json'), 'utf8'));
+const options = parseArgs(process.argv.slice(2));
+const simulator = new BalanceSimulator(itemData);
+
+options.levels.forEach(level => {
+    const report = simulator.simulate({ pomodoros: options.pomodoros, level, seed: options.seed });
+    
+    console.log(`\n=== Lv.${report.startLevel} から ${options.pomodoros} ポモドーロ (seed ${options.seed}) ===`);
+    console.log(`到達レベル: Lv.${report.endLevel} / 到達階層: ${report.floor}F`);
+    console.log(`レアリティ分布 (開けた箱 ${report.boxesOpened} 個):`);
+    Object.entries(report.rarityCounts).forEach(([rarity, count]) => {
+        console.log(`  ${rarity.padEnd(10)} ${String(count).padStart(6)}  ${formatPercent(report.rarityRates[rarity])}`);
+    });
+    console.log('レベルアップ:');
+    report.levelUps.forEach(({ pomodoro, level: reached }) => {
+        console.log(`  ${String(pomodoro).padStart(5)} 回目で Lv.${reached}`);
+    });
+    console.log(report.catalogCompletedAt === null
+        ? '図鑑コンプリート: 未達'
+        : `図鑑コンプリート: ${report.catalogCompletedAt} 回目`);
+});
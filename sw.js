@@ -0,0 +1,107 @@
+// Service Worker: オフライン用のキャッシュと、通知のボタン操作をページへ伝える
+
+// 配信するファイルを変えたら上げる (古いキャッシュは activate で消える)
+const CACHE_VERSION = 'v3';
+const CACHE_NAME = `pomodoro-girl-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'script.js',
+    'locales/ja.js',
+    'locales/en.js',
+    'items.json',
+    'timer-worker.js',
+    'manifest.webmanifest',
+    'images/walk1.png',
+    'images/walk2.png',
+    'images/walk3.png',
+    'images/walk4.png',
+    'images/walk5.png',
+    'images/walk6.png',
+    'images/icon-192.png',
+    'images/icon-512.png',
+    'images/icon-maskable-512.png',
+    'images/Common_box.png',
+    'images/Rare_box.png',
+    'images/Epic_box.png',
+    'images/Legendary_box.png',
+    'sound/alarm.mp3'
+];
+
+// 中身が互いに依存するファイルは、つながる限り最新を取りに行く
+// (script.js だけ新しく items.json が古い、という組み合わせで図鑑が壊れないように)
+const NETWORK_FIRST = /\/(index\.html|script\.js|items\.json|timer-worker\.js|locales\/[a-z]+\.js|manifest\.webmanifest)?$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            // ブラウザの HTTP キャッシュを通さず、必ず今のファイルを入れる
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('pomodoro-girl-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    if (request.mode === 'navigate' || NETWORK_FIRST.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // ?action=start などのクエリ付きで開かれても index.html を返す
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return cache.match('index.html');
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(focusClient(event.action));
+});
+
+async function focusClient(action) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = clientList[0];
+    
+    if (client) {
+        await client.focus();
+        if (action) client.postMessage({ type: 'notification-action', action });
+        return;
+    }
+    await self.clients.openWindow(action ? `./?action=${action}` : './');
+}
@@ -0,0 +1,87 @@
+// index.html のアクセシビリティ点検 (npm run test:a11y)
+// 各タブとダイアログを実際に描画してから点検し、問題が1件でもあれば失敗する
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { bootApp } = require('./helpers/load');
+const { AccessibilityAudit } = require('./helpers/a11y');
+
+// 一覧や図鑑が空のままだと描画されない部分もあるので、記録とアイテムを入れておく
+function sampleStorage(language) {
+    return {
+        pomodoroSettings: { language, schemaVersion: 1 },
+        pomodoroGameData: {
+            level: 4, exp: 400, totalItems: 3, totalPomodoros: 12,
+            inventory: { 'apple': 2, 'holy-shield': 1 },
+            discoveredItems: { 'apple': 'common', 'holy-shield': 'epic' },
+            discoveredRecipes: {},
+            dungeon: { floor: 2, progress: 2, guardsUsed: 0 },
+            pityCounter: 0,
+            equipment: { hand: 'holy-shield' },
+            schemaVersion: 6
+        },
+        pomodoroTasks: {
+            tasks: [{ id: 'task-1', name: '英語の勉強', project: '', estimate: 4, actual: 1, notes: '', dueDate: '', status: 'active', createdAt: '2024-03-01T00:00:00.000Z' }],
+            activeTaskId: 'task-1',
+            schemaVersion: 3
+        }
+    };
+}
+
+test('点検は違反を規則ごとに見つける', () => {
+    const { document } = new JSDOM(`
+        <img src="a.png">
+        <canvas role="img"></canvas>
+        <button></button>
+        <input type="text" id="name">
+        <div id="twice"></div><div id="twice"></div>
+        <div aria-describedby="missing"></div>
+        <div role="tab">単独のタブ</div>
+        <div role="dialog"></div>
+        <a href="#" tabindex="2">先に読まれるリンク</a>
+    `).window;
+
+    const rules = new AccessibilityAudit(document).run().map(violation => violation.rule);
+    assert.deepStrictEqual(rules, [
+        'image-alt', 'role-img-name', 'button-name', 'label', 'duplicate-id',
+        'aria-valid-reference', 'aria-required-parent', 'dialog-name', 'tabindex'
+    ]);
+});
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+for (const language of ['ja', 'en']) {
+    test(`${language}: 各タブとダイアログに問題がない`, async (t) => {
+        const { app, window, close } = await bootApp({ storage: sampleStorage(language) });
+        t.after(close);
+        const { document } = window;
+
+        await app.recordFocusSession({ interrupted: false });
+        await app.taskManager.reloadRecords();
+
+        const screens = {};
+        document.querySelectorAll('.tab-btn').forEach(tab => {
+            screens[`タブ: ${tab.dataset.tab}`] = () => app.tabSystem.switchTab(tab.dataset.tab);
+        });
+        Object.assign(screens, {
+            '記録の入力欄': () => {
+                app.tabSystem.switchTab('tasks');
+                app.taskManager.showNewRecordForm();
+            },
+            'コマンドパレット': () => app.palette.open(),
+            'ショートカット一覧': () => app.shortcuts.showHelp(),
+            '結果画面': () => app.gameSystem.showResult([{ id: 'apple', rarity: 'common' }], 120, true, [])
+        });
+
+        for (const [name, show] of Object.entries(screens)) {
+            await t.test(name, async () => {
+                show();
+                await settle();
+
+                const audit = new AccessibilityAudit(document);
+                const violations = audit.run();
+                assert.strictEqual(violations.length, 0, `\n${audit.format(violations)}`);
+            });
+        }
+    });
+}
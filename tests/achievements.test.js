@@ -0,0 +1,185 @@
+// 実績の判定 (AchievementSystem) と、履歴から導く値の更新
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain, bootApp } = require('./helpers/load');
+
+let app;
+let close;
+test.before(async () => {
+    ({ app, close } = await bootApp());
+});
+test.after(() => close());
+
+// 統計と同じ集計を作る (記録の ID は並び順)
+function summaryOf(completions) {
+    const counts = app.statsDashboard.summarize(completions.map((completion, index) => ({ id: index + 1, ...completion })));
+    return { ...counts, streaks: app.statsDashboard.calculateStreaks(counts.byDay) };
+}
+
+function completedAt(date, fields = {}) {
+    return { taskName: '英語の勉強', timestamp: date.toISOString(), duration: 1500, interrupted: false, ...fields };
+}
+
+function evaluate(rule, { playerData = {}, completions = [] } = {}) {
+    return app.achievements.evaluateRule(rule, {
+        playerData: { ...app.gameSystem.getDefaultPlayerData(), ...playerData },
+        items: app.gameSystem.itemData.items,
+        summary: summaryOf(completions)
+    });
+}
+
+function daysAgo(days, hour = 12) {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() - days, hour);
+}
+
+// 呼ばれた回数を数えながら全履歴の読み込みをそのまま行う
+function countGetAll(t) {
+    const { history } = app.taskManager;
+    const original = history.getAll;
+    let calls = 0;
+    history.getAll = function () {
+        calls++;
+        return original.call(this);
+    };
+    t.after(() => { history.getAll = original; });
+    return () => calls;
+}
+
+test('totalPomodoros・level・floor はプレイヤーデータの値と比べる', () => {
+    assert.strictEqual(evaluate({ type: 'totalPomodoros', count: 10 }, { playerData: { totalPomodoros: 9 } }), false);
+    assert.strictEqual(evaluate({ type: 'totalPomodoros', count: 10 }, { playerData: { totalPomodoros: 10 } }), true);
+    assert.strictEqual(evaluate({ type: 'level', level: 10 }, { playerData: { level: 9 } }), false);
+    assert.strictEqual(evaluate({ type: 'level', level: 10 }, { playerData: { level: 12 } }), true);
+    assert.strictEqual(evaluate({ type: 'floor', floor: 6 }, { playerData: { dungeon: { floor: 5, progress: 9 } } }), false);
+    assert.strictEqual(evaluate({ type: 'floor', floor: 6 }, { playerData: { dungeon: { floor: 6, progress: 0 } } }), true);
+});
+
+test('rarityFound・catalogComplete は図鑑で判定する', () => {
+    const commons = app.gameSystem.itemData.items.common;
+    const allCommons = Object.fromEntries(commons.map(id => [id, 'common']));
+    const { [commons[0]]: _, ...missingOne } = allCommons;
+
+    assert.strictEqual(evaluate({ type: 'rarityFound', rarity: 'legendary' }, { playerData: { discoveredItems: allCommons } }), false);
+    assert.strictEqual(evaluate({ type: 'rarityFound', rarity: 'legendary' }, { playerData: { discoveredItems: { 'star-fragment': 'legendary' } } }), true);
+    assert.strictEqual(evaluate({ type: 'catalogComplete', rarity: 'common' }, { playerData: { discoveredItems: missingOne } }), false);
+    assert.strictEqual(evaluate({ type: 'catalogComplete', rarity: 'common' }, { playerData: { discoveredItems: allCommons } }), true);
+    // 一覧のないレアリティは達成できない
+    assert.strictEqual(evaluate({ type: 'catalogComplete', rarity: 'mythic' }, { playerData: { discoveredItems: allCommons } }), false);
+});
+
+test('streak は過去を含めた最長の連続日数で判定する', () => {
+    const rule = { type: 'streak', days: 7 };
+    const week = (offset) => Array.from({ length: 7 }, (_, i) => completedAt(daysAgo(offset + i)));
+
+    assert.strictEqual(evaluate(rule, { completions: week(1) }), true);
+    // 途切れていても、以前に7日続いていれば達成
+    assert.strictEqual(evaluate(rule, { completions: week(30) }), true);
+    // 中断した日は数えない
+    const interrupted = week(1).map((completion, i) => (i === 3 ? { ...completion, interrupted: true } : completion));
+    assert.strictEqual(evaluate(rule, { completions: interrupted }), false);
+});
+
+test('dailyPomodoros は同じ日の完了数で判定する', () => {
+    const rule = { type: 'dailyPomodoros', count: 10 };
+    const sameDay = (count) => Array.from({ length: count }, (_, i) => completedAt(daysAgo(2, 8 + i)));
+
+    assert.strictEqual(evaluate(rule, { completions: sameDay(9) }), false);
+    assert.strictEqual(evaluate(rule, { completions: sameDay(10) }), true);
+    // 日をまたいだ合計では達成しない
+    assert.strictEqual(evaluate(rule, { completions: [...sameDay(5), completedAt(daysAgo(3)), ...sameDay(4)] }), false);
+});
+
+test('early-bird は0時から7時前までに完了すれば達成', () => {
+    const definition = app.gameSystem.itemData.achievements.find(achievement => achievement.id === 'early-bird');
+    const at = (hour, minute) => [completedAt(new Date(2024, 2, 4, hour, minute))];
+
+    assert.deepStrictEqual(plain(definition.rule), { type: 'finishedBetween', from: 0, to: 7 });
+    assert.strictEqual(evaluate(definition.rule, { completions: at(0, 30) }), true);
+    assert.strictEqual(evaluate(definition.rule, { completions: at(3, 0) }), true);
+    assert.strictEqual(evaluate(definition.rule, { completions: at(6, 59) }), true);
+    assert.strictEqual(evaluate(definition.rule, { completions: at(7, 0) }), false);
+    assert.strictEqual(evaluate(definition.rule, { completions: [completedAt(new Date(2024, 2, 4, 5, 0), { interrupted: true })] }), false);
+});
+
+test('未知の条件は達成しない', () => {
+    assert.strictEqual(evaluate({ type: 'moonPhase', phase: 'full' }), false);
+});
+
+test('解除済みの実績は判定し直さない', () => {
+    const definitions = [
+        { id: 'first-pomodoro', rule: { type: 'totalPomodoros', count: 1 } },
+        { id: 'level-10', rule: { type: 'level', level: 10 } }
+    ];
+    const context = {
+        playerData: { ...app.gameSystem.getDefaultPlayerData(), totalPomodoros: 1, level: 10 },
+        items: {},
+        summary: summaryOf([])
+    };
+    const saved = app.achievements.data.unlocked;
+    app.achievements.data.unlocked = { 'first-pomodoro': '2024-03-04T00:00:00.000Z' };
+    try {
+        assert.deepStrictEqual(app.achievements.evaluate(definitions, context).map(achievement => achievement.id), ['level-10']);
+    } finally {
+        app.achievements.data.unlocked = saved;
+    }
+});
+
+test('完了のたびの判定では全履歴を読み直さない', async (t) => {
+    const getAllCalls = countGetAll(t);
+
+    app.gameSystem.playerData.totalPomodoros = 1;
+    await app.recordFocusSession({ interrupted: false, completedAt: new Date(2024, 2, 4, 5, 30).getTime() });
+    const unlocked = await app.achievements.check();
+
+    assert.deepStrictEqual(unlocked.map(achievement => achievement.id).sort(), ['early-bird', 'first-pomodoro']);
+    assert.strictEqual(getAllCalls(), 0);
+
+    // 統計にも同じ完了が入っている
+    const summary = await app.statsDashboard.getSummary();
+    assert.strictEqual(summary.byHour[5], 1);
+    assert.strictEqual(getAllCalls(), 0);
+});
+
+test('手で追加した記録はゲームの完了数に数えず、削除すると履歴による実績も取り消す', async (t) => {
+    const { app, close } = await bootApp();
+    t.after(close);
+
+    const task = app.taskManager.resolveTask('英語の勉強');
+    const { totalPomodoros, exp } = app.gameSystem.playerData;
+    const isUnlocked = (id) => Boolean(app.achievements.data.unlocked[id]);
+
+    await app.taskManager.saveRecord(null, { taskName: '英語の勉強', timestamp: daysAgo(1, 5), duration: 1500, memo: '' });
+    assert.strictEqual(isUnlocked('early-bird'), true);
+    assert.strictEqual(app.taskManager.getTask(task.id).actual, 1);
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, totalPomodoros);
+    assert.strictEqual(app.gameSystem.playerData.exp, exp);
+
+    const [record] = app.taskManager.loadedRecords;
+    await app.taskManager.deleteRecord(record.id);
+    assert.strictEqual(isUnlocked('early-bird'), false);
+    assert.strictEqual(app.taskManager.getTask(task.id).actual, 0);
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, totalPomodoros);
+    assert.strictEqual((await app.statsDashboard.getSummary()).byHour[5], 0);
+
+    // 取り消すと記録も実績も戻る
+    await app.taskManager.undo();
+    assert.strictEqual(isUnlocked('early-bird'), true);
+    assert.strictEqual(app.taskManager.getTask(task.id).actual, 1);
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, totalPomodoros);
+});
+
+test('ゲームで得た実績は履歴を編集しても取り消さない', async (t) => {
+    const { app, close } = await bootApp();
+    t.after(close);
+
+    app.gameSystem.playerData.totalPomodoros = 1;
+    await app.recordFocusSession({ interrupted: false });
+    await app.achievements.check();
+    await app.taskManager.reloadRecords();
+
+    const [record] = app.taskManager.loadedRecords;
+    await app.taskManager.deleteRecord(record.id);
+    assert.ok(app.achievements.data.unlocked['first-pomodoro']);
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, 1);
+});
@@ -0,0 +1,73 @@
+// 成長バランスのシミュレーション (BalanceSimulator)
+// items.json やドロップ計算を変えて数値が動いたら、意図した変化か確かめてから期待値を更新する
+const test = require('node:test');
+const assert = require('node:assert');
+const { readJSON, plain, loadClasses } = require('./helpers/load');
+
+const { BalanceSimulator } = loadClasses(['BalanceSimulator']);
+const simulator = new BalanceSimulator(readJSON('items.json'));
+
+// 上のレアリティほど出にくい (期待値を更新しても、この順番は崩さない)
+function assertRarityOrder({ rarityCounts }) {
+    const { common, rare, epic, legendary } = rarityCounts;
+    assert.ok(legendary < epic && epic < rare && rare < common, JSON.stringify(rarityCounts));
+}
+
+test('シードが同じなら同じ結果になる', () => {
+    const options = { pomodoros: 50, level: 1, seed: 3 };
+    assert.deepStrictEqual(plain(simulator.simulate(options)), plain(simulator.simulate(options)));
+});
+
+test('Lv.1 から 200 ポモドーロ (seed 1)', () => {
+    const report = plain(simulator.simulate({ pomodoros: 200, level: 1, seed: 1 }));
+
+    assertRarityOrder(report);
+    assert.strictEqual(report.endLevel, 49);
+    assert.strictEqual(report.floor, 23);
+    assert.strictEqual(report.boxesOpened, 1004);
+    assert.deepStrictEqual(report.rarityCounts, { common: 705, rare: 194, epic: 90, legendary: 15 });
+    assert.strictEqual(report.catalogCompletedAt, null);
+    assert.strictEqual(report.levelUps.length, 47);
+    assert.deepStrictEqual(report.levelUps[report.levelUps.length - 1], { pomodoro: 200, level: 49 });
+});
+
+test('Lv.30 から 200 ポモドーロ (seed 1)', () => {
+    const report = plain(simulator.simulate({ pomodoros: 200, level: 30, seed: 1 }));
+
+    assertRarityOrder(report);
+    assert.strictEqual(report.endLevel, 53);
+    assert.strictEqual(report.boxesOpened, 1004);
+    assert.deepStrictEqual(report.rarityCounts, { common: 700, rare: 195, epic: 94, legendary: 15 });
+});
+
+test('出現率はボスの報酬を含めて実際に開けた箱の数で割る', () => {
+    const pomodoros = 200;
+    const report = plain(simulator.simulate({ pomodoros, level: 1, seed: 1 }));
+    const counted = Object.values(report.rarityCounts).reduce((sum, count) => sum + count, 0);
+
+    // ボスの報酬の分だけ、25分ごとの5個より多く開けている
+    assert.ok(report.boxesOpened > pomodoros * 5);
+    assert.strictEqual(counted, report.boxesOpened);
+    Object.entries(report.rarityCounts).forEach(([rarity, count]) => {
+        assert.strictEqual(report.rarityRates[rarity], count / report.boxesOpened);
+    });
+    const totalRate = Object.values(report.rarityRates).reduce((sum, rate) => sum + rate, 0);
+    assert.ok(Math.abs(totalRate - 1) < 1e-9, `合計 ${totalRate}`);
+});
+
+test('レベルや装備のボーナスがあってもレアリティの順番は変わらない', () => {
+    const { GameSystem } = loadClasses(['GameSystem']);
+    const game = new GameSystem({ headless: true, itemData: readJSON('items.json') });
+    Object.assign(game.playerData, { level: 99, equipment: { outfit: 'dragon-scale', hand: 'silver-ring', charm: 'glowing-stone' } });
+
+    for (const floor of [1, 10, 20, 40]) {
+        game.playerData.dungeon.floor = floor;
+        // 0 から 1 まで等間隔に引いた結果の数 = 各レアリティの出現率
+        const rarityCounts = { common: 0, rare: 0, epic: 0, legendary: 0 };
+        for (let i = 0; i < 10000; i++) {
+            game.playerData.pityCounter = 0;
+            rarityCounts[game.determineRarity(i / 10000)]++;
+        }
+        assertRarityOrder({ rarityCounts });
+    }
+});
@@ -0,0 +1,94 @@
+// 合成 (Crafting と GameSystem.craft)
+// 乱数はシード付きなので、強化で出るアイテムも毎回同じになる
+const test = require('node:test');
+const assert = require('node:assert');
+const { readJSON, plain, loadClasses } = require('./helpers/load');
+
+const { Crafting, GameSystem, createRandom } = loadClasses(['Crafting', 'GameSystem', 'createRandom']);
+const itemData = readJSON('items.json');
+
+function createGame({ inventory = {}, equipment = {}, seed = 1 } = {}) {
+    const game = new GameSystem({ random: createRandom(seed), itemData, headless: true });
+    const discoveredItems = {};
+    Object.keys(inventory).forEach(id => {
+        discoveredItems[id] = game.crafting.getRarity(id);
+    });
+    Object.assign(game.playerData, { inventory: { ...inventory }, discoveredItems, equipment: { ...equipment } });
+    game.discoverRecipes();
+    return game;
+}
+
+test('材料が足りない組み合わせレシピは作れず、持ち物も減らない', () => {
+    const crafting = new Crafting(itemData, createRandom(1));
+    const recipe = crafting.getRecipe('apple-pie');
+    const inventory = { 'apple': 2, 'aluminum-lunchbox': 1 };
+
+    assert.strictEqual(crafting.selectIngredients(recipe, inventory), null);
+    assert.strictEqual(crafting.canCraft(recipe, inventory), false);
+    assert.strictEqual(crafting.resolve(recipe, inventory), null);
+
+    const game = createGame({ inventory });
+    assert.strictEqual(game.craft('apple-pie'), null);
+    assert.deepStrictEqual(plain(game.playerData.inventory), inventory);
+});
+
+test('組み合わせレシピはレシピどおりの数だけ材料を使う', () => {
+    const game = createGame({ inventory: { 'apple': 4, 'aluminum-lunchbox': 1, 'canned-coffee': 1 } });
+    const result = game.craft('apple-pie');
+
+    assert.deepStrictEqual(plain(result), {
+        consumed: { 'apple': 3, 'aluminum-lunchbox': 1 },
+        item: { id: 'apple-pie-lunch', rarity: 'rare' }
+    });
+    // 使い切った材料は持ち物から消える
+    assert.deepStrictEqual(plain(game.playerData.inventory), { 'apple': 1, 'canned-coffee': 1, 'apple-pie-lunch': 1 });
+    assert.strictEqual(game.playerData.discoveredItems['apple-pie-lunch'], 'rare');
+});
+
+test('見つけていないレシピは材料があっても作れない', () => {
+    const game = createGame({ inventory: { 'apple': 3, 'aluminum-lunchbox': 1 } });
+    delete game.playerData.discoveredRecipes['apple-pie'];
+
+    assert.strictEqual(game.craft('apple-pie'), null);
+    assert.strictEqual(game.playerData.inventory['apple'], 3);
+});
+
+test('強化は1個ずつ残し、ダブりの多いものから使う', () => {
+    const crafting = new Crafting(itemData, createRandom(1));
+    const recipe = crafting.getRecipe('upgrade-common');
+
+    // 同数なら items.json の並び順 (rusty-spoon → empty-lighter → ...)
+    assert.deepStrictEqual(plain(crafting.selectIngredients(recipe, {
+        'rusty-spoon': 3, 'empty-lighter': 3, 'apple': 4, 'canned-coffee': 1
+    })), { 'apple': 3, 'rusty-spoon': 2 });
+
+    // 合計は5個以上でも、残す1個を除くと足りない
+    assert.strictEqual(crafting.selectIngredients(recipe, {
+        'rusty-spoon': 2, 'empty-lighter': 2, 'apple': 2, 'canned-coffee': 1
+    }), null);
+});
+
+test('強化で出るアイテムはシードで決まり、同じものが出たら数が増える', () => {
+    const craftThreeTimes = (seed) => {
+        const game = createGame({ inventory: { 'apple': 16 }, seed });
+        const outputs = [1, 2, 3].map(() => game.craft('upgrade-common').item.id);
+        return { outputs, inventory: plain(game.playerData.inventory) };
+    };
+
+    const first = craftThreeTimes(7);
+    assert.deepStrictEqual(plain(first.outputs), ['magic-crystal', 'magic-crystal', 'spirit-feather']);
+    assert.deepStrictEqual(first.inventory, { 'apple': 1, 'magic-crystal': 2, 'spirit-feather': 1 });
+
+    // 同じシードなら同じ結果
+    assert.deepStrictEqual(craftThreeTimes(7), first);
+});
+
+test('材料に使い切った装備は外れる', () => {
+    const game = createGame({
+        inventory: { 'hourglass-of-time': 1, 'alarm-clock': 1, 'apple': 1 },
+        equipment: { charm: 'hourglass-of-time' }
+    });
+
+    assert.strictEqual(game.craft('eternal-pomodoro').item.id, 'eternal-pomodoro');
+    assert.deepStrictEqual(plain(game.playerData.equipment), {});
+});
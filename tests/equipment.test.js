@@ -0,0 +1,36 @@
+// 装備の衣装と色違いの絵柄 (items.json の equipment.spriteSets と AnimationSystem)
+const test = require('node:test');
+const assert = require('node:assert');
+const { readJSON, plain, loadClasses, bootApp } = require('./helpers/load');
+
+const { spriteSets } = readJSON('items.json').equipment;
+
+test('色違いは元の絵柄のコマを使い、自分のコマ画像を持たない', () => {
+    Object.entries(spriteSets).forEach(([id, set]) => {
+        if (set.variantOf) {
+            assert.ok(spriteSets[set.variantOf] && !spriteSets[set.variantOf].variantOf, `${id} の元の絵柄がありません`);
+            assert.strictEqual(set.frames, undefined, id);
+            assert.strictEqual(set.sheet, undefined, id);
+        } else {
+            assert.ok(set.frames || set.sheet, `${id} にコマ画像がありません`);
+        }
+    });
+
+    // items.json を読めないときの予備のデータも同じ
+    const { GameSystem } = loadClasses(['GameSystem']);
+    const fallback = new GameSystem({ headless: true, itemData: readJSON('items.json') }).getFallbackItemData();
+    assert.deepStrictEqual(plain(fallback.equipment.spriteSets), spriteSets);
+});
+
+test('色違いの衣装を着ても、元の絵柄の画像を読み直さない', async (t) => {
+    const { app, close } = await bootApp({ storage: { pomodoroSettings: { language: 'ja', schemaVersion: 1 } } });
+    t.after(close);
+    const { animationSystem } = app;
+
+    animationSystem.setAppearance({ spriteSet: 'dragon', overlays: [] });
+    await animationSystem.sheets.default;
+    assert.deepStrictEqual(Object.keys(animationSystem.sheets), ['default']);
+    assert.strictEqual(animationSystem.getSheet(), animationSystem.sheets.default);
+
+    assert.strictEqual(app.gameSystem.describeEquipment('dragon-scale'), '服が色違いの「竜鱗カラー」になる。レアリティ抽選 +2%');
+});
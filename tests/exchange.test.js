@@ -0,0 +1,64 @@
+// 記録の書き出しと取り込み (DataExchange)
+const test = require('node:test');
+const assert = require('node:assert');
+const { bootApp } = require('./helpers/load');
+
+// 画面で選んだファイルの代わり
+function fileOf(name, text) {
+    return { name, text: async () => text };
+}
+
+async function bootWithRecords(t, { language = 'ja' } = {}) {
+    const { app, window, close } = await bootApp({ storage: { pomodoroSettings: { language, schemaVersion: 1 } } });
+    t.after(close);
+
+    const alerts = [];
+    window.alert = (message) => alerts.push(message);
+
+    window.document.getElementById('taskInput').value = '英語の勉強';
+    await app.recordFocusSession({ interrupted: false, completedAt: new Date(2024, 2, 4, 10, 0).getTime() });
+    await app.recordFocusSession({ interrupted: false, completedAt: new Date(2024, 2, 4, 10, 30).getTime() });
+    return { app, alerts };
+}
+
+test('改名した後に書き出したファイルを取り込んでも、記録は重複しない', async (t) => {
+    const formats = {
+        csv: (app, completions) => app.dataExchange.toCSV(completions),
+        ics: (app, completions) => app.dataExchange.toICS(completions)
+    };
+
+    for (const [format, serialize] of Object.entries(formats)) {
+        await t.test(format, async (t) => {
+            const { app, alerts } = await bootWithRecords(t);
+            const { taskManager } = app;
+            const task = taskManager.data.tasks.find(task => task.name === '英語の勉強');
+            taskManager.updateTask(task.id, { name: '英会話' });
+
+            const exported = serialize(app, await taskManager.history.getAll());
+            await app.dataExchange.importFile(fileOf(`records.${format}`, exported), 'merge');
+
+            assert.strictEqual(alerts.length, 1, alerts.join('\n'));
+            const records = await taskManager.history.getAll();
+            assert.strictEqual(records.length, 2);
+            assert.ok(records.every(record => record.taskId === task.id));
+            assert.strictEqual(taskManager.getTask(task.id).actual, 2);
+        });
+    }
+});
+
+test('書き出しで履歴を読めなかったら、表示中の言語で知らせる', async (t) => {
+    const cases = {
+        ja: 'エクスポートに失敗しました: 読み込みエラー',
+        en: 'Export failed: 読み込みエラー'
+    };
+
+    for (const [language, message] of Object.entries(cases)) {
+        await t.test(language, async (t) => {
+            const { app, alerts } = await bootWithRecords(t, { language });
+            app.taskManager.history.getAll = () => Promise.reject(new Error('読み込みエラー'));
+
+            await app.dataExchange.exportData('csv');
+            assert.deepStrictEqual(alerts, [message]);
+        });
+    }
+});
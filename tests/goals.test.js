@@ -0,0 +1,75 @@
+// 日・週・タスク別の目標 (GoalTracker) と達成報酬 (GameSystem.grantGoalRewards)
+const test = require('node:test');
+const assert = require('node:assert');
+const { readJSON, plain, loadClasses, bootApp, waitFor } = require('./helpers/load');
+
+const JA = { pomodoroSettings: { language: 'ja', schemaVersion: 1 } };
+
+function addTaskGoal(window, app, taskName, count) {
+    const { document } = window;
+    document.getElementById('taskGoalName').value = taskName;
+    document.getElementById('taskGoalCount').value = String(count);
+    app.goalTracker.addTaskGoal();
+}
+
+test('報酬: 日の目標はレアの箱、週の目標は経験値、タスクの目標は文言だけ', () => {
+    const { GameSystem } = loadClasses(['GameSystem']);
+    const game = new GameSystem({ headless: true, itemData: readJSON('items.json') });
+
+    const none = game.grantGoalRewards({ daily: false, weekly: false, task: false }, '英語の勉強');
+    assert.deepStrictEqual(plain(none), { bonusExp: 0, messages: [] });
+    assert.strictEqual(game.itemBoxes.length, 0);
+
+    const all = game.grantGoalRewards({ daily: true, weekly: true, task: true }, '英語の勉強');
+    assert.strictEqual(all.bonusExp, 50);
+    assert.deepStrictEqual(plain(all.messages), [
+        '🎯 今日の目標を達成！ レアボックスを獲得',
+        '🏆 今週の目標を達成！ 経験値 +50',
+        '📌 「英語の勉強」の今日の目標を達成！'
+    ]);
+    assert.deepStrictEqual(plain(game.itemBoxes.map(box => box.rarity)), ['rare']);
+});
+
+test('タスク別の目標はタスクIDで持ち、改名しても引き継ぐ', async (t) => {
+    const { app, window, close } = await bootApp({ storage: JA });
+    t.after(close);
+
+    addTaskGoal(window, app, '英語の勉強', 2);
+    const task = app.taskManager.findTask('英語の勉強');
+    assert.deepStrictEqual(plain(app.settings.get('taskGoals')), { [task.id]: 2 });
+
+    app.taskManager.updateTask(task.id, { name: '英会話' });
+    app.goalTracker.renderTaskGoals();
+    assert.strictEqual(app.goalTracker.getGoals(task.id).task, 2);
+    assert.ok(window.document.getElementById('taskGoalList').textContent.includes('英会話: 1日2回'));
+
+    // 改名後の名前で完了すると、同じ目標に数える
+    window.document.getElementById('taskInput').value = '英会話';
+    const complete = () => {
+        app.gameSystem.startExploration(Date.now());
+        app.completePomodoro(Date.now());
+    };
+    complete();
+    assert.strictEqual(app.goalTracker.getProgress(task.id).task, 1);
+    complete();
+    assert.ok(window.document.getElementById('goalMessage').textContent.includes('「英会話」の今日の目標を達成'));
+    assert.strictEqual(app.taskManager.data.tasks.length, 1);
+
+    await waitFor(async () => (await app.taskManager.history.getAll()).length === 2);
+});
+
+test('タスク名で保存していた目標は、起動時にタスクIDへ付け替える', async (t) => {
+    const { app, close } = await bootApp({
+        storage: {
+            pomodoroSettings: { language: 'ja', taskGoals: { '英語の勉強': 3, '新しいタスク': 1 }, schemaVersion: 1 },
+            pomodoroTasks: { tasks: ['英語の勉強'], completions: [] }
+        }
+    });
+    t.after(close);
+
+    const english = app.taskManager.findTask('英語の勉強');
+    const added = app.taskManager.findTask('新しいタスク');
+    assert.ok(english && added);
+    assert.deepStrictEqual(plain(app.settings.get('taskGoals')), { [english.id]: 3, [added.id]: 1 });
+    assert.strictEqual(app.settings.get('legacyTaskGoals'), null);
+});
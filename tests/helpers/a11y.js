@@ -0,0 +1,128 @@
+// アクセシビリティ点検 (axe のような自動点検の簡易版)
+// 見つかった問題を { rule, element, message } の配列で返す
+class AccessibilityAudit {
+    constructor(root) {
+        this.root = root;
+        this.document = root.ownerDocument || root;
+        this.ID_REFERENCES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-activedescendant'];
+        // 親に必要な役割
+        this.REQUIRED_PARENTS = { tab: 'tablist', option: 'listbox' };
+    }
+
+    run() {
+        return [
+            ...this.checkImages(),
+            ...this.checkButtons(),
+            ...this.checkFormLabels(),
+            ...this.checkIds(),
+            ...this.checkRoles()
+        ];
+    }
+
+    // ========================================
+    // 規則
+    // ========================================
+    checkImages() {
+        const violations = [];
+        this.root.querySelectorAll('img:not([alt])').forEach(element => {
+            violations.push({ rule: 'image-alt', element, message: 'alt がありません' });
+        });
+        // role="img" の canvas や svg は中身を読まないので、属性で名前を付ける
+        this.root.querySelectorAll('[role="img"]').forEach(element => {
+            if (!this.getLabel(element)) {
+                violations.push({ rule: 'role-img-name', element, message: '画像としての名前がありません' });
+            }
+        });
+        return violations;
+    }
+
+    checkButtons() {
+        return [...this.root.querySelectorAll('button, [role="tab"]')]
+            .filter(element => !this.getLabel(element) && !element.textContent.trim())
+            .map(element => ({ rule: 'button-name', element, message: 'ボタンに名前がありません' }));
+    }
+
+    checkFormLabels() {
+        return [...this.root.querySelectorAll('input, select, textarea')]
+            .filter(element => element.type !== 'hidden' && !element.hidden && element.style.display !== 'none')
+            .filter(element => !this.getLabel(element) && !this.hasLabelElement(element))
+            .map(element => ({ rule: 'label', element, message: '入力欄にラベルがありません' }));
+    }
+
+    checkIds() {
+        const violations = [];
+        const seen = new Set();
+        this.root.querySelectorAll('[id]').forEach(element => {
+            if (seen.has(element.id)) {
+                violations.push({ rule: 'duplicate-id', element, message: `id "${element.id}" が重複しています` });
+            }
+            seen.add(element.id);
+        });
+
+        this.ID_REFERENCES.forEach(attribute => {
+            this.root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                element.getAttribute(attribute).split(/\s+/).filter(Boolean)
+                    .filter(id => !this.document.getElementById(id))
+                    .forEach(id => violations.push({ rule: 'aria-valid-reference', element, message: `${attribute} の "${id}" が見つかりません` }));
+            });
+        });
+        return violations;
+    }
+
+    checkRoles() {
+        const violations = [];
+        Object.entries(this.REQUIRED_PARENTS).forEach(([role, parent]) => {
+            this.root.querySelectorAll(`[role="${role}"]`).forEach(element => {
+                if (!element.parentElement || !element.parentElement.closest(`[role="${parent}"]`)) {
+                    violations.push({ rule: 'aria-required-parent', element, message: `role="${parent}" の中にありません` });
+                }
+            });
+        });
+        this.root.querySelectorAll('[role="dialog"]').forEach(element => {
+            if (!this.getLabel(element)) {
+                violations.push({ rule: 'dialog-name', element, message: 'ダイアログに名前がありません' });
+            }
+        });
+        this.root.querySelectorAll('[tabindex]').forEach(element => {
+            if (element.tabIndex > 0) {
+                violations.push({ rule: 'tabindex', element, message: '正の tabindex は読む順番を崩します' });
+            }
+        });
+        return violations;
+    }
+
+    // ========================================
+    // 補助
+    // ========================================
+    // 属性で付けた名前 (aria-labelledby → aria-label → title の順)
+    getLabel(element) {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            return labelledBy.split(/\s+/)
+                .map(id => this.document.getElementById(id))
+                .filter(Boolean)
+                .map(target => target.textContent)
+                .join(' ')
+                .trim();
+        }
+        return (element.getAttribute('aria-label') || element.getAttribute('title') || '').trim();
+    }
+
+    hasLabelElement(element) {
+        if (element.closest('label')) return true;
+        return Boolean(element.id && this.root.querySelector(`label[for="${element.id}"]`));
+    }
+
+    describe(element) {
+        if (element.id) return `#${element.id}`;
+        const className = element.classList[0];
+        return className ? `${element.tagName.toLowerCase()}.${className}` : element.tagName.toLowerCase();
+    }
+
+    // 失敗したときに読みやすい一覧 (1行に1件)
+    format(violations) {
+        return violations.map(({ rule, element, message }) => `${rule} ${this.describe(element)}: ${message}`).join('\n');
+    }
+}
+
+module.exports = { AccessibilityAudit };
@@ -0,0 +1,104 @@
+// テストから script.js を読み込むための補助
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+const LOCALE_FILES = ['locales/ja.js', 'locales/en.js'];
+
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readJSON(file) {
+    return JSON.parse(read(file));
+}
+
+// 別の realm で作られた値を、assert.deepStrictEqual で比べられる普通の値にする
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// 画面なしでクラスだけを取り出す (simulate.js と同じ読み込み方)
+// storage を渡すと localStorage として使う。IndexedDB は呼び出しごとに空のものを用意する
+function loadClasses(names, { storage = null } = {}) {
+    const context = vm.createContext({ console, localStorage: storage, indexedDB: new IDBFactory(), IDBKeyRange });
+    [...LOCALE_FILES, 'script.js'].forEach(file => vm.runInContext(read(file), context, { filename: file }));
+    return Object.fromEntries(names.map(name => [name, vm.runInContext(name, context)]));
+}
+
+// localStorage の代わり (値は文字列で持つ)
+function createStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+// jsdom にない、または描画を伴うブラウザの機能を差し替える
+function stubBrowser(window) {
+    window.structuredClone = structuredClone;
+    window.TextEncoder = TextEncoder;
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        return new Proxy({}, {
+            get: (target, key) => (key in target ? target[key] : () => {}),
+            set: (target, key, value) => {
+                target[key] = value;
+                return true;
+            }
+        });
+    };
+    window.HTMLCanvasElement.prototype.toDataURL = () => 'data:,';
+    window.HTMLImageElement.prototype.decode = () => Promise.resolve();
+    window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+    window.HTMLMediaElement.prototype.pause = () => {};
+    window.fetch = async (url) => ({ ok: true, json: async () => readJSON(String(url)) });
+}
+
+// index.html を jsdom で開いてアプリを起動する
+// storage: 起動前に localStorage へ入れておく値 (文字列以外は JSON にする)
+// beforeStart: 起動前に window を受け取り、音や通知などを差し替える
+async function bootApp({ storage = {}, beforeStart = () => {} } = {}) {
+    const html = read('index.html').replace(/<script src="[^"]*"><\/script>/g, '');
+    const dom = new JSDOM(html, {
+        runScripts: 'outside-only',
+        url: 'http://localhost/',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    stubBrowser(window);
+    Object.entries(storage).forEach(([key, value]) => {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+    beforeStart(window);
+
+    LOCALE_FILES.forEach(file => window.eval(read(file)));
+    const app = window.eval(`${read('script.js')}\n;app`);
+    // 起動時の読み込みが終わってから返す (閉じた後に画面を触らないように)
+    await Promise.all([app.gameSystem.ready, app.taskManager.ready, app.goalTracker.ready, app.achievements.ready, app.soundPlayer.ready]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    return { window, app, close: () => window.close() };
+}
+
+// 条件を満たすまで待つ (非同期の保存や描画を待つとき用)
+async function waitFor(condition, { timeout = 2000, interval = 10 } = {}) {
+    const startedAt = Date.now();
+    while (!(await condition())) {
+        if (Date.now() - startedAt > timeout) throw new Error('waitFor: 時間切れです');
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = { read, readJSON, plain, loadClasses, createStorage, bootApp, waitFor };
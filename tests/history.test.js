@@ -0,0 +1,108 @@
+// IndexedDB の完了履歴 (CompletionHistory)
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain, loadClasses } = require('./helpers/load');
+
+function createHistory() {
+    const { CompletionHistory } = loadClasses(['CompletionHistory']);
+    return new CompletionHistory();
+}
+
+function completion(timestamp, fields = {}) {
+    return {
+        taskName: '英語の勉強',
+        date: new Date(timestamp).toDateString(),
+        timestamp,
+        duration: 1500,
+        interrupted: false,
+        ...fields
+    };
+}
+
+// 読み込み済みの最も古い記録を起点に、最後のページまで読む
+async function readAllPages(history, days) {
+    const pages = [];
+    let before = null;
+    let hasMore = true;
+    while (hasMore) {
+        const page = await history.getDays({ before, days });
+        pages.push(page.records.map(record => record.id));
+        const last = page.records[page.records.length - 1];
+        before = last ? { timestamp: last.timestamp, id: last.id } : null;
+        hasMore = page.hasMore;
+    }
+    return pages;
+}
+
+test('getDays: 新しい順に指定した日数ずつ読み込む', async () => {
+    const history = createHistory();
+    await history.addAll([
+        completion('2024-03-01T01:00:00.000Z'),
+        completion('2024-03-02T01:00:00.000Z'),
+        completion('2024-03-02T02:00:00.000Z'),
+        completion('2024-03-03T01:00:00.000Z')
+    ]);
+
+    const first = await history.getDays({ days: 2 });
+    assert.deepStrictEqual(plain(first.records.map(record => record.timestamp)), [
+        '2024-03-03T01:00:00.000Z',
+        '2024-03-02T02:00:00.000Z',
+        '2024-03-02T01:00:00.000Z'
+    ]);
+    assert.strictEqual(first.hasMore, true);
+
+    const last = first.records[first.records.length - 1];
+    const second = await history.getDays({ before: { timestamp: last.timestamp, id: last.id }, days: 2 });
+    assert.deepStrictEqual(plain(second.records.map(record => record.timestamp)), ['2024-03-01T01:00:00.000Z']);
+    assert.strictEqual(second.hasMore, false);
+});
+
+test('getDays: ページの境目と同じ時刻の記録も読み飛ばさない', async () => {
+    // 同じ時刻でも、別のタイムゾーンで記録した日付は別の日になりうる
+    const timestamp = '2024-03-02T15:30:00.000Z';
+    const history = createHistory();
+    await history.addAll([
+        completion('2024-03-01T01:00:00.000Z'),
+        completion(timestamp, { date: 'Sat Mar 02 2024', taskName: '読書' }),
+        completion(timestamp, { date: 'Sun Mar 03 2024' }),
+        completion(timestamp, { date: 'Sun Mar 03 2024' })
+    ]);
+
+    const pages = await readAllPages(history, 1);
+    assert.deepStrictEqual(plain(pages), [[4, 3], [2], [1]]);
+});
+
+test('getDays: すべてのページを合わせると全件が一度ずつ読まれる', async () => {
+    const history = createHistory();
+    const completions = [];
+    for (let day = 1; day <= 9; day++) {
+        // 1日に同じ時刻の記録を2件ずつ
+        const timestamp = `2024-03-${String(day).padStart(2, '0')}T03:00:00.000Z`;
+        completions.push(completion(timestamp), completion(timestamp));
+    }
+    await history.addAll(completions);
+
+    const pages = await readAllPages(history, 2);
+    assert.strictEqual(pages.length, 5);
+    assert.deepStrictEqual(plain(pages).flat().sort((a, b) => a - b), completions.map((_, index) => index + 1));
+});
+
+test('addMissing: 同じ時刻でもタスクが違えば別の記録として追加する', async () => {
+    const history = createHistory();
+    const timestamp = '2024-03-04T01:00:00.000Z';
+    await history.addAll([completion(timestamp)]);
+
+    // 移行を途中からやり直したときと同じく、追加済みの記録を含めて渡す
+    await history.addMissing([
+        completion(timestamp),
+        completion(timestamp, { taskName: '読書' }),
+        completion('2024-03-04T02:00:00.000Z')
+    ]);
+
+    const records = plain(await history.getAll());
+    assert.deepStrictEqual(records.map(({ taskName, timestamp }) => ({ taskName, timestamp })), [
+        { taskName: '英語の勉強', timestamp },
+        { taskName: '読書', timestamp },
+        { taskName: '英語の勉強', timestamp: '2024-03-04T02:00:00.000Z' }
+    ]);
+});
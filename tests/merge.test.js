@@ -0,0 +1,90 @@
+// ほかのタブと同時に保存したときの3方向マージ (mergeChanges と各ストアの merge)
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain, loadClasses, bootApp } = require('./helpers/load');
+
+const { mergeChanges } = loadClasses(['mergeChanges']);
+
+let app;
+let close;
+test.before(async () => {
+    ({ app, close } = await bootApp());
+});
+test.after(() => close());
+
+function mergeGameData(base, local, stored) {
+    const defaults = app.gameSystem.getDefaultPlayerData();
+    return plain(app.gameSystem.store.merge({ ...defaults, ...base }, { ...defaults, ...local }, { ...defaults, ...stored }));
+}
+
+test('片方だけが変わったときはその内容を採用する', () => {
+    const base = { floor: 1, note: 'a' };
+    assert.deepStrictEqual(plain(mergeChanges(base, base, { floor: 2, note: 'b' })), { floor: 2, note: 'b' });
+    assert.deepStrictEqual(plain(mergeChanges(base, { floor: 3, note: 'c' }, base)), { floor: 3, note: 'c' });
+});
+
+test('counters に挙げた場所の数値だけを足し合わせる', () => {
+    const counters = ['count', 'items.*'];
+    const merged = mergeChanges(
+        { count: 1, level: 1, items: { a: 1 } },
+        { count: 2, level: 2, items: { a: 2 } },
+        { count: 3, level: 3, items: { a: 3, b: 1 } },
+        counters
+    );
+    assert.deepStrictEqual(plain(merged), { count: 4, level: 2, items: { a: 4, b: 1 } });
+});
+
+test('所持数: 互いの増減を足し、0 になったものは消す', () => {
+    const merged = mergeGameData(
+        { exp: 100, totalItems: 3, inventory: { 'apple': 2, 'canned-coffee': 1 } },
+        // このタブ: りんごを合成で使い切り、缶コーヒーを1個拾った
+        { exp: 100, totalItems: 4, inventory: { 'canned-coffee': 2 } },
+        // ほかのタブ: りんごを1個拾った
+        { exp: 200, totalItems: 4, inventory: { 'apple': 3, 'canned-coffee': 1 } }
+    );
+    assert.deepStrictEqual(merged.inventory, { 'apple': 1, 'canned-coffee': 2 });
+    assert.strictEqual(merged.totalItems, 5);
+    assert.strictEqual(merged.exp, 200);
+});
+
+test('経験値・完了数は足し、レベルは経験値から求め直す', () => {
+    const merged = mergeGameData(
+        { exp: 50, level: 1, totalPomodoros: 1 },
+        { exp: 150, level: 2, totalPomodoros: 2 },
+        { exp: 150, level: 2, totalPomodoros: 2 }
+    );
+    assert.strictEqual(merged.exp, 250);
+    assert.strictEqual(merged.totalPomodoros, 3);
+    assert.strictEqual(merged.level, app.gameSystem.progression.getProgress(250).level);
+});
+
+test('階層・天井・ガードの回数は足さずにこのタブの値を採用する', () => {
+    const merged = mergeGameData(
+        { dungeon: { floor: 5, progress: 9, guardsUsed: 0 }, pityCounter: 10 },
+        { dungeon: { floor: 6, progress: 0, guardsUsed: 1 }, pityCounter: 15 },
+        { dungeon: { floor: 6, progress: 0, guardsUsed: 1 }, pityCounter: 15 }
+    );
+    assert.deepStrictEqual(merged.dungeon, { floor: 6, progress: 0, guardsUsed: 1 });
+    assert.strictEqual(merged.pityCounter, 15);
+});
+
+test('タスク: 実績数は足し、見積もりや日時はこのタブの値を採用する', () => {
+    const task = (fields) => ({ id: 'task-1', name: '英語の勉強', estimate: 4, actual: 1, createdAt: '2024-03-01T00:00:00.000Z', ...fields });
+    const merged = plain(app.taskManager.store.merge(
+        { tasks: [task()], activeTaskId: null },
+        { tasks: [task({ estimate: 5, actual: 2, createdAt: '2024-03-02T00:00:00.000Z' })], activeTaskId: 'task-1' },
+        { tasks: [task({ estimate: 6, actual: 2, createdAt: '2024-03-03T00:00:00.000Z' })], activeTaskId: null }
+    ));
+    assert.deepStrictEqual(merged.tasks, [task({ estimate: 5, actual: 3, createdAt: '2024-03-02T00:00:00.000Z' })]);
+    assert.strictEqual(merged.activeTaskId, 'task-1');
+});
+
+test('タスク: 互いに追加・削除したものを合わせる', () => {
+    const task = (id) => ({ id, name: id, estimate: 0, actual: 0 });
+    const merged = plain(app.taskManager.store.merge(
+        { tasks: [task('a'), task('b')] },
+        { tasks: [task('a'), task('c')] },
+        { tasks: [task('b'), task('d')] }
+    ));
+    assert.deepStrictEqual(merged.tasks.map(t => t.id), ['c', 'd']);
+});
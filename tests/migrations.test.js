@@ -0,0 +1,182 @@
+// 保存データの移行 (VersionedStore と各ストアの migrations)
+// 旧形式のフィクスチャは、最初のリリースが localStorage に書いていた形そのまま
+const test = require('node:test');
+const assert = require('node:assert');
+const { readJSON, plain, loadClasses, createStorage, bootApp } = require('./helpers/load');
+
+// 最初のリリースの pomodoroGameData (schemaVersion なし、アイテムは日本語の表示名)
+const BASELINE_GAME_DATA = {
+    level: 3,
+    exp: 250,
+    totalItems: 7,
+    inventory: { 'りんご': 3, '缶コーヒー': 2, '魔法の水晶': 1, '世界樹の葉': 1 },
+    discoveredItems: { 'りんご': 'common', '缶コーヒー': 'common', '魔法の水晶': 'rare', '世界樹の葉': 'legendary' },
+    totalPomodoros: 23
+};
+
+// 最初のリリースの pomodoroTasks (タスクは名前だけ、履歴は localStorage の配列)
+const BASELINE_TASKS = {
+    tasks: ['英語の勉強', '読書'],
+    completions: [
+        { taskName: '英語の勉強', date: 'Mon Mar 04 2024', timestamp: '2024-03-04T01:00:00.000Z' },
+        { taskName: '英語の勉強', date: 'Mon Mar 04 2024', timestamp: '2024-03-04T01:30:00.000Z' },
+        { taskName: '読書', date: 'Tue Mar 05 2024', timestamp: '2024-03-05T12:00:00.000Z' },
+        { taskName: '壊れた記録', timestamp: 'not a date' }
+    ]
+};
+
+function createGameStore(storage) {
+    const { GameSystem, VersionedStore } = loadClasses(['GameSystem', 'VersionedStore'], { storage });
+    const game = new GameSystem({ headless: true, itemData: readJSON('items.json') });
+    return new VersionedStore('pomodoroGameData', {
+        defaults: () => game.getDefaultPlayerData(),
+        migrations: game.getMigrations()
+    });
+}
+
+test('VersionedStore: 古いバージョンから順に移行し、新しい形式で保存し直す', () => {
+    const storage = createStorage({ sample: JSON.stringify({ schemaVersion: 1, steps: ['v0→v1'] }) });
+    const { VersionedStore } = loadClasses(['VersionedStore'], { storage });
+    const store = new VersionedStore('sample', {
+        defaults: () => ({ steps: [] }),
+        migrations: [
+            (data) => ({ ...data, steps: [...data.steps, 'v0→v1'] }),
+            (data) => ({ ...data, steps: [...data.steps, 'v1→v2'] }),
+            (data) => ({ ...data, steps: [...data.steps, 'v2→v3'] })
+        ]
+    });
+
+    assert.deepStrictEqual(plain(store.load()), { steps: ['v0→v1', 'v1→v2', 'v2→v3'], schemaVersion: 3 });
+    assert.strictEqual(JSON.parse(storage.getItem('sample')).schemaVersion, 3);
+});
+
+test('VersionedStore: 読めないデータはバックアップを残して初期値に戻す', async (t) => {
+    const cases = {
+        'JSON でない': '{broken',
+        '配列': '[1, 2]',
+        '新しすぎるバージョン': JSON.stringify({ schemaVersion: 99 })
+    };
+
+    for (const [name, raw] of Object.entries(cases)) {
+        await t.test(name, () => {
+            const storage = createStorage({ sample: raw });
+            const { VersionedStore } = loadClasses(['VersionedStore'], { storage });
+            const store = new VersionedStore('sample', { defaults: () => ({ value: 0 }), migrations: [(data) => data] });
+
+            assert.deepStrictEqual(plain(store.load()), { value: 0, schemaVersion: 1 });
+            assert.strictEqual(storage.getItem('sample.backup'), raw);
+        });
+    }
+});
+
+test('pomodoroGameData: 最初のリリースのデータを最新の形式へ移行する', () => {
+    const storage = createStorage({ pomodoroGameData: JSON.stringify(BASELINE_GAME_DATA) });
+    const data = plain(createGameStore(storage).load());
+
+    // レベル3の途中 (250 exp = 次のレベルまで半分) は、新しい曲線でもレベル3の半分になる
+    assert.strictEqual(data.level, 3);
+    assert.strictEqual(data.exp, 262);
+    assert.strictEqual(data.totalPomodoros, 23);
+    assert.deepStrictEqual(data.dungeon, { floor: 3, progress: 3, guardsUsed: 0 });
+    assert.strictEqual(data.pityCounter, 0);
+    assert.deepStrictEqual(data.discoveredRecipes, {});
+    assert.deepStrictEqual(data.equipment, {});
+
+    // 表示名で記録していたアイテムはIDになる
+    assert.deepStrictEqual(data.inventory, { 'apple': 3, 'canned-coffee': 2, 'magic-crystal': 1, 'world-tree-leaf': 1 });
+    assert.deepStrictEqual(data.discoveredItems, {
+        'apple': 'common', 'canned-coffee': 'common', 'magic-crystal': 'rare', 'world-tree-leaf': 'legendary'
+    });
+
+    assert.strictEqual(JSON.parse(storage.getItem('pomodoroGameData')).schemaVersion, 6);
+});
+
+test('pomodoroGameData: 壊れた数値は初期値で補う', () => {
+    const storage = createStorage({ pomodoroGameData: JSON.stringify({ level: -2, exp: 'many', totalPomodoros: null, inventory: 'none' }) });
+    const data = plain(createGameStore(storage).load());
+
+    assert.strictEqual(data.level, 1);
+    assert.strictEqual(data.exp, 0);
+    assert.strictEqual(data.totalPomodoros, 0);
+    assert.deepStrictEqual(data.inventory, {});
+    assert.deepStrictEqual(data.dungeon, { floor: 1, progress: 0, guardsUsed: 0 });
+});
+
+test('pomodoroTasks: 最初のリリースの記録をタスクと IndexedDB の履歴に移す', async (t) => {
+    const { app, close } = await bootApp({ storage: { pomodoroTasks: BASELINE_TASKS } });
+    t.after(close);
+
+    const data = plain(app.taskManager.data);
+    assert.strictEqual(data.schemaVersion, 4);
+    assert.strictEqual(data.completions, undefined);
+    assert.strictEqual(data.needsTaskLink, undefined);
+    assert.deepStrictEqual(data.tasks.map(({ name, actual, status }) => ({ name, actual, status })), [
+        { name: '英語の勉強', actual: 2, status: 'active' },
+        { name: '読書', actual: 1, status: 'active' }
+    ]);
+
+    // 日付の読めない記録は捨て、所要時間のない記録は25分として扱う
+    const records = plain(await app.taskManager.history.getAll())
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const taskIds = Object.fromEntries(data.tasks.map(task => [task.name, task.id]));
+    assert.deepStrictEqual(records.map(({ taskName, taskId, timestamp, duration, interrupted }) => ({ taskName, taskId, timestamp, duration, interrupted })), [
+        { taskName: '英語の勉強', taskId: taskIds['英語の勉強'], timestamp: '2024-03-04T01:00:00.000Z', duration: 1500, interrupted: false },
+        { taskName: '英語の勉強', taskId: taskIds['英語の勉強'], timestamp: '2024-03-04T01:30:00.000Z', duration: 1500, interrupted: false },
+        { taskName: '読書', taskId: taskIds['読書'], timestamp: '2024-03-05T12:00:00.000Z', duration: 1500, interrupted: false }
+    ]);
+});
+
+test('pomodoroTasks: 言語ごとの「無題のタスク」は名前のない1つのタスクにまとめる', async (t) => {
+    const { app, close } = await bootApp({
+        storage: {
+            pomodoroTasks: {
+                tasks: ['無題のタスク', 'Untitled task', '読書'],
+                completions: [
+                    { taskName: '無題のタスク', timestamp: '2024-03-04T01:00:00.000Z' },
+                    { taskName: 'Untitled task', timestamp: '2024-03-05T01:00:00.000Z' },
+                    { taskName: '読書', timestamp: '2024-03-05T02:00:00.000Z' }
+                ]
+            }
+        }
+    });
+    t.after(close);
+
+    const { tasks } = plain(app.taskManager.data);
+    assert.deepStrictEqual(tasks.map(({ name, actual }) => ({ name, actual })), [
+        { name: '', actual: 2 },
+        { name: '読書', actual: 1 }
+    ]);
+    assert.strictEqual(app.taskManager.data.mergedTaskIds, undefined);
+
+    const records = plain(await app.taskManager.history.getAll());
+    assert.deepStrictEqual(records.map(record => record.taskId), [tasks[0].id, tasks[0].id, tasks[1].id]);
+});
+
+test('読み込めないデータのエラーは表示中の言語で出す', async (t) => {
+    const cases = {
+        ja: ['未対応のスキーマバージョンです: 99', 'データの形式が正しくありません'],
+        en: ['Unsupported schema version: 99', 'The data format is invalid']
+    };
+
+    for (const [language, [unsupportedVersion, invalidData]] of Object.entries(cases)) {
+        await t.test(language, async (t) => {
+            const { app, window, close } = await bootApp({
+                storage: { pomodoroSettings: { language, schemaVersion: 1 } }
+            });
+            t.after(close);
+
+            const alerts = [];
+            window.alert = (message) => alerts.push(message);
+            const importJSON = (data) => app.dataExchange.importFile({
+                name: 'backup.json',
+                text: async () => JSON.stringify(data)
+            }, 'merge');
+
+            await importJSON({ pomodoroTasks: { completions: [], schemaVersion: 99 } });
+            await importJSON({ pomodoroTasks: { completions: [] }, pomodoroGameData: ['not', 'an', 'object'] });
+            assert.strictEqual(alerts.length, 2);
+            assert.ok(alerts[0].endsWith(unsupportedVersion), alerts[0]);
+            assert.ok(alerts[1].endsWith(invalidData), alerts[1]);
+        });
+    }
+});
@@ -0,0 +1,37 @@
+// インストール用のマニフェストと Service Worker のキャッシュ対象
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { read, readJSON } = require('./helpers/load');
+
+const manifest = readJSON('manifest.webmanifest');
+
+// sw.js を読み込んで PRECACHE_URLS を取り出す
+function precacheUrls() {
+    const context = vm.createContext({ self: { addEventListener: () => {} } });
+    vm.runInContext(read('sw.js'), context);
+    return vm.runInContext('PRECACHE_URLS', context);
+}
+
+// PNG の IHDR から幅と高さを読む
+function pngSize(file) {
+    const data = fs.readFileSync(path.join(__dirname, '..', file));
+    return `${data.readUInt32BE(16)}x${data.readUInt32BE(20)}`;
+}
+
+test('192px と 512px の正方形アイコン、マスカブルアイコンがある', () => {
+    const icons = manifest.icons.map(({ sizes, purpose }) => `${sizes} ${purpose}`);
+    assert.ok(icons.includes('192x192 any'));
+    assert.ok(icons.includes('512x512 any'));
+    assert.ok(icons.includes('512x512 maskable'));
+});
+
+test('アイコンは宣言どおりの大きさで、オフライン用にキャッシュされる', () => {
+    const urls = precacheUrls();
+    manifest.icons.forEach(icon => {
+        assert.strictEqual(pngSize(icon.src), icon.sizes, icon.src);
+        assert.ok(urls.includes(icon.src), `${icon.src} が PRECACHE_URLS にありません`);
+    });
+});
@@ -0,0 +1,235 @@
+// 開き直したときのセッション復元 (PomodoroApp.restoreSession)
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain, bootApp, waitFor } = require('./helpers/load');
+
+const MINUTE = 60 * 1000;
+const FOCUS_SECONDS = 25 * 60;
+
+function focusSession(fields) {
+    return {
+        phase: 'focus',
+        completedFocusCount: 0,
+        timer: FOCUS_SECONDS,
+        isRunning: true,
+        isPaused: false,
+        startTime: null,
+        pausedAt: null,
+        pauseCount: 0,
+        pausedTime: 0,
+        itemBoxes: [],
+        taskName: '英語の勉強',
+        ...fields
+    };
+}
+
+test('終了前なら残り時間から再開する', async (t) => {
+    const { app, close } = await bootApp({
+        storage: { pomodoroSession: focusSession({ startTime: Date.now() - 5 * MINUTE }) }
+    });
+    t.after(close);
+
+    assert.strictEqual(app.state.phase, 'focus');
+    assert.strictEqual(app.state.isRunning, true);
+    assert.ok(Math.abs(app.state.timer - 20 * 60) <= 2, `残り ${app.state.timer} 秒`);
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, 0);
+});
+
+test('閉じている間に終わっていたら、本来の終了時刻で完了させる', async (t) => {
+    // 2日前に終わったセッション
+    const deadline = Date.now() - 2 * 24 * 60 * MINUTE;
+    const { app, close } = await bootApp({
+        storage: { pomodoroSession: focusSession({ startTime: deadline - FOCUS_SECONDS * 1000 }) }
+    });
+    t.after(close);
+
+    assert.strictEqual(app.state.phase, 'shortBreak');
+    assert.strictEqual(app.state.isRunning, false);
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, 1);
+
+    let records = [];
+    await waitFor(async () => (records = await app.taskManager.history.getAll()).length === 1);
+    assert.strictEqual(records[0].timestamp, new Date(deadline).toISOString());
+    assert.strictEqual(records[0].date, new Date(deadline).toDateString());
+    assert.strictEqual(records[0].taskName, '英語の勉強');
+    assert.strictEqual(records[0].interrupted, false);
+
+    // 開き直した今日の目標には数えない
+    assert.strictEqual(app.goalTracker.getProgress('英語の勉強').daily, 0);
+});
+
+test('閉じている間に終わっていたら、保存済みのデータに加えて静かに完了させる', async (t) => {
+    // 今日すでに2回済ませていて、日の目標は3回
+    const dayStart = new Date();
+    dayStart.setHours(0, 0, 0, 0);
+    const doneToday = (offset) => ({
+        taskName: '英語の勉強',
+        timestamp: new Date(dayStart.getTime() + offset).toISOString()
+    });
+    const deadline = Date.now() - 1000;
+
+    const alerts = { sounds: 0, notifications: 0 };
+    const { app, window, close } = await bootApp({
+        storage: {
+            pomodoroSettings: { dailyGoal: 3, notificationsEnabled: true, schemaVersion: 1 },
+            pomodoroGameData: {
+                level: 4, exp: 400, totalItems: 3, totalPomodoros: 12,
+                inventory: { 'apple': 3 }, discoveredItems: { 'apple': 'common' }, discoveredRecipes: {},
+                dungeon: { floor: 2, progress: 2, guardsUsed: 0 }, pityCounter: 0, equipment: {},
+                schemaVersion: 6
+            },
+            pomodoroTasks: { tasks: ['英語の勉強'], completions: [doneToday(1000), doneToday(2000)] },
+            pomodoroSession: focusSession({
+                startTime: deadline - FOCUS_SECONDS * 1000,
+                itemBoxes: [{ rarity: 'common', item: null }]
+            })
+        },
+        beforeStart: (window) => {
+            window.HTMLMediaElement.prototype.play = () => {
+                alerts.sounds++;
+                return Promise.resolve();
+            };
+            window.Notification = class {
+                static permission = 'granted';
+                constructor() {
+                    alerts.notifications++;
+                }
+            };
+            window.document.hasFocus = () => false;
+        }
+    });
+    t.after(close);
+
+    await waitFor(async () => (await app.taskManager.history.getAll()).length === 3);
+    const { playerData } = app.gameSystem;
+    assert.strictEqual(playerData.totalPomodoros, 13);
+    assert.ok(playerData.exp > 400, `exp ${playerData.exp}`);
+    assert.ok(playerData.level >= 4);
+    assert.strictEqual(playerData.dungeon.floor, 2);
+    assert.strictEqual(playerData.dungeon.progress, 3);
+    // 探索の5箱と、日の目標を達成した報酬のレアの箱
+    assert.strictEqual(playerData.totalItems, 3 + 6);
+
+    assert.strictEqual(app.goalTracker.getProgress('英語の勉強').daily, 3);
+    assert.strictEqual(app.taskManager.data.tasks[0].actual, 3);
+
+    // アラーム・通知・結果画面は出さない
+    assert.deepStrictEqual(alerts, { sounds: 0, notifications: 0 });
+    assert.strictEqual(app.gameSystem.resultDialog.isOpen(), false);
+    assert.strictEqual(window.document.getElementById('timerAnnouncer').textContent, '');
+    assert.strictEqual(app.state.phase, 'shortBreak');
+});
+
+test('一時停止中のセッションは止まったまま復元する', async (t) => {
+    const pausedAt = Date.now() - 30 * MINUTE;
+    const { app, window, close } = await bootApp({
+        storage: {
+            pomodoroSession: focusSession({
+                timer: 15 * 60,
+                isRunning: false,
+                isPaused: true,
+                startTime: pausedAt - 10 * MINUTE,
+                pausedAt,
+                pauseCount: 1,
+                itemBoxes: [{ rarity: 'rare', foundAt: pausedAt - MINUTE }]
+            })
+        }
+    });
+    t.after(close);
+
+    assert.strictEqual(app.state.isPaused, true);
+    assert.strictEqual(app.state.isRunning, false);
+    assert.strictEqual(app.state.timer, 15 * 60);
+    assert.strictEqual(app.state.pauseCount, 1);
+    assert.strictEqual(app.gameSystem.itemBoxes.length, 1);
+    assert.strictEqual(window.document.getElementById('timerDisplay').textContent, '15:00');
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, 0);
+});
+
+test('箱を保存していなかった頃の一時停止中のセッションも復元できる', async (t) => {
+    const session = focusSession({ isRunning: false, isPaused: true, startTime: Date.now() - 20 * MINUTE, pausedAt: Date.now() - 10 * MINUTE });
+    delete session.itemBoxes;
+    const { app, close } = await bootApp({ storage: { pomodoroSession: session } });
+    t.after(close);
+
+    assert.strictEqual(app.state.isPaused, true);
+    assert.deepStrictEqual(plain(app.gameSystem.itemBoxes), []);
+});
+
+test('壊れた・欠けたセッションは無視して初期状態で起動する', async (t) => {
+    const cases = {
+        'セッションなし': {},
+        'JSON でない': { pomodoroSession: '{not json' },
+        'null': { pomodoroSession: 'null' },
+        '未知のフェーズ': { pomodoroSession: focusSession({ phase: 'nap', startTime: Date.now() }) }
+    };
+
+    for (const [name, storage] of Object.entries(cases)) {
+        await t.test(name, async (t) => {
+            const { app, close } = await bootApp({ storage });
+            t.after(close);
+
+            assert.strictEqual(app.state.phase, 'focus');
+            assert.strictEqual(app.state.isRunning, false);
+            assert.strictEqual(app.state.isPaused, false);
+            assert.strictEqual(app.state.timer, FOCUS_SECONDS);
+        });
+    }
+});
+
+// 設定の変更 (PomodoroApp.handleSettingChange)
+function changeFocusMinutes(window, app, minutes) {
+    const input = window.document.getElementById('focusMinutesInput');
+    input.value = String(minutes);
+    app.handleSettingChange(input);
+}
+
+test('進行中に集中時間を変えても、今のセッションは開始時の長さで進む', async (t) => {
+    const { app, window, close } = await bootApp();
+    t.after(close);
+
+    app.startTimer();
+    changeFocusMinutes(window, app, 50);
+
+    assert.strictEqual(app.settings.get('focusMinutes'), 50);
+    assert.ok(app.updateTimer() <= FOCUS_SECONDS);
+    assert.strictEqual(app.sessionStore.load().duration, FOCUS_SECONDS);
+
+    // 次のセッションから新しい長さになる
+    app.abandonSession();
+    assert.strictEqual(app.state.timer, 50 * 60);
+    app.startTimer();
+    assert.ok(app.updateTimer() > FOCUS_SECONDS);
+
+    // 中断の記録が書き終わるまで待つ
+    await waitFor(async () => (await app.taskManager.history.getAll()).length === 1);
+});
+
+test('一時停止中に集中時間を変えても、残り時間はそのまま', async (t) => {
+    const { app, window, close } = await bootApp();
+    t.after(close);
+
+    app.startTimer();
+    app.pauseTimer();
+    const remaining = app.state.timer;
+    changeFocusMinutes(window, app, 50);
+
+    assert.strictEqual(app.state.isPaused, true);
+    assert.strictEqual(app.state.timer, remaining);
+    assert.strictEqual(window.document.getElementById('timerDisplay').textContent, '25:00');
+});
+
+test('開き直したときは、保存されたセッションの長さで終了時刻を決める', async (t) => {
+    // 開始後に集中時間を 50 分へ変えていても、25 分のセッションは 25 分で終わる
+    const startTime = Date.now() - 30 * MINUTE;
+    const { app, close } = await bootApp({
+        storage: {
+            pomodoroSettings: { focusMinutes: 50, schemaVersion: 1 },
+            pomodoroSession: focusSession({ startTime, duration: FOCUS_SECONDS })
+        }
+    });
+    t.after(close);
+
+    assert.strictEqual(app.state.phase, 'shortBreak');
+    assert.strictEqual(app.gameSystem.playerData.totalPomodoros, 1);
+});
@@ -0,0 +1,43 @@
+// タスクの名前と記録の紐づけ (TaskManager)
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain, bootApp } = require('./helpers/load');
+
+test('名前のないタスクは表示言語を切り替えても同じタスクに記録する', async (t) => {
+    const { app, window, close } = await bootApp({ storage: { pomodoroSettings: { language: 'ja', schemaVersion: 1 } } });
+    t.after(close);
+    const { document } = window;
+    const switchLanguage = (language) => {
+        app.settings.set('language', language);
+        app.applyLanguage();
+    };
+
+    await app.recordFocusSession({ interrupted: false });
+    switchLanguage('en');
+    await app.recordFocusSession({ interrupted: false });
+
+    const untitled = app.taskManager.data.tasks.filter(task => task.name === '');
+    assert.strictEqual(app.taskManager.data.tasks.length, 1);
+    assert.strictEqual(untitled.length, 1);
+    assert.strictEqual(untitled[0].actual, 2);
+
+    // 表示するときだけ表示言語の名前にする
+    app.taskManager.renderTaskList();
+    assert.strictEqual(document.querySelector('#taskList strong').textContent, 'Untitled task');
+    switchLanguage('ja');
+    app.taskManager.renderTaskList();
+    app.taskManager.displayRecords();
+    assert.strictEqual(document.querySelector('#taskList strong').textContent, '無題のタスク');
+    assert.ok(document.getElementById('recordsList').textContent.includes('無題のタスク'));
+});
+
+test('入力欄に表示言語の「無題のタスク」と書いても名前のないタスクとして扱う', async (t) => {
+    const { app, window, close } = await bootApp({ storage: { pomodoroSettings: { language: 'en', schemaVersion: 1 } } });
+    t.after(close);
+
+    window.document.getElementById('taskInput').value = '無題のタスク';
+    await app.recordFocusSession({ interrupted: false });
+
+    assert.deepStrictEqual(plain(app.taskManager.data.tasks.map(task => task.name)), ['']);
+    assert.strictEqual(app.dataExchange.toCSV(await app.taskManager.history.getAll()).split('\n')[1].split(',')[0], 'Untitled task');
+});
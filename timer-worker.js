@@ -0,0 +1,13 @@
+// タイマーの刻み (隠れたタブでも間引かれにくい専用ワーカー)
+let intervalId = null;
+
+self.addEventListener('message', (event) => {
+    const { type, interval } = event.data;
+    
+    clearInterval(intervalId);
+    intervalId = null;
+    
+    if (type === 'start') {
+        intervalId = setInterval(() => self.postMessage({ type: 'tick', now: Date.now() }), interval);
+    }
+});